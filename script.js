@@ -1,6 +1,6 @@
 /**
  * Reading Archive JavaScript
- * Handles CSV loading, parsing, and article rendering with individual card editing
+ * Handles loading articles from the API, CSV parsing, and article rendering with individual card editing
  */
 
 // DOM element references
@@ -11,882 +11,6406 @@ const elements = {
     count: () => document.getElementById('article-count'),
     filterContainer: () => document.getElementById('filter-container'),
     filterTags: () => document.getElementById('filter-tags'),
-    filterClearAll: () => document.getElementById('filter-clear-all')
+    filterClearAll: () => document.getElementById('filter-clear-all'),
+    toolbar: () => document.getElementById('archive-toolbar'),
+    syncStatus: () => document.getElementById('sync-status'),
+    mergeModal: () => document.getElementById('merge-modal'),
+    importModal: () => document.getElementById('import-modal'),
+    toast: () => document.getElementById('toast'),
+    undoButton: () => document.getElementById('undo-button'),
+    redoButton: () => document.getElementById('redo-button'),
+    search: () => document.getElementById('search-input'),
+    bulkActions: () => document.getElementById('bulk-actions')
 };
 
 // Global state
 let articles = [];
-let currentFilters = [];
+let currentFilters = []; // Array of { tag, exclude } filter chips
+let filterMatchMode = 'all'; // 'all' or 'any' of the included tags
+let currentSearch = '';
+let currentView = 'list'; // 'list', 'queue' (unread), 'timeline', 'archive' (archived), 'highlights' (every quote), 'stats' (dashboard) or 'tags' (tag manager)
+let dateRange = { from: '', to: '' }; // Inclusive YYYY-MM-DD bounds on article dates; empty means unbounded
+let statusFilters = new Set(); // Reading statuses to show; empty shows every status
+let minimumRating = 0; // Only show articles rated at least this many stars; 0 shows all
+let selectionMode = false; // Cards show checkboxes for batch actions
+let selectedArticleIds = new Set();
+let lastSelectedId = null; // Anchor for shift-click ranges
+let focusedArticleId = null; // Card picked with j/k for keyboard actions
+let toastTimeout = null;
+let commandHistory = [];
+let redoHistory = [];
+let articleVersions = new Map(); // Server version of each article, sent back with updates
+let syncedArticles = new Map(); // Last known server copy of each article, the base for merging concurrent edits
+let editSessions = new WeakMap(); // AbortController for the listeners of each open editor
+let pendingArticleIds = new Set(); // Articles changed locally but not yet saved on the server
+let rejectedArticles = new Map(); // Queued changes the server refused, by article id, with the reason
+let isOffline = false;
+let isSyncing = false;
+let syncChain = Promise.resolve();
+let archiveDB = null;
+let cacheTimeout = null;
+
+// IndexedDB database holding the offline copy of the archive and the sync queue
+const ARCHIVE_DB_NAME = 'reading-archive';
+const ARCHIVE_DB_STORE = 'state';
+
+// How often to retry pending changes while offline
+const SYNC_RETRY_INTERVAL = 30000;
+
+// Command types for undo/redo functionality
+const COMMAND_TYPES = {
+    EDIT: 'edit',
+    CREATE: 'create',
+    DELETE: 'delete',
+    ARCHIVE: 'archive',
+    FAVORITE: 'favorite',
+    BULK_TAGS: 'bulk_tags',
+    BULK_EDIT: 'bulk_edit',
+    IMPORT: 'import'
+};
+
+// How each command type is described in undo/redo messages
+const COMMAND_LABELS = {
+    [COMMAND_TYPES.EDIT]: 'edit',
+    [COMMAND_TYPES.CREATE]: 'new article',
+    [COMMAND_TYPES.DELETE]: 'delete',
+    [COMMAND_TYPES.ARCHIVE]: 'archive',
+    [COMMAND_TYPES.FAVORITE]: 'favorite',
+    [COMMAND_TYPES.BULK_TAGS]: 'tag change',
+    [COMMAND_TYPES.BULK_EDIT]: 'batch change',
+    [COMMAND_TYPES.IMPORT]: 'import'
+};
+
+// Query parameters that only track where a link was shared from
+const TRACKING_PARAMS = /^(utm_\w+|smid|referringsource|ref_src|ref_url|fbclid|gclid|dclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok)$/i;
+
+// Hosts that are aliases of another host
+const HOST_ALIASES = {
+    'twitter.com': 'x.com',
+    'www.twitter.com': 'x.com',
+    'mobile.twitter.com': 'x.com',
+    'www.x.com': 'x.com',
+    'mobile.x.com': 'x.com'
+};
+
+// Labels for the import formats recognised by parseImportFile
+const IMPORT_FORMATS = {
+    archive: 'Reading archive CSV',
+    pocketHTML: 'Pocket HTML export',
+    pocketCSV: 'Pocket CSV export',
+    instapaper: 'Instapaper CSV export',
+    raindrop: 'Raindrop CSV export',
+    pinboard: 'Pinboard JSON export',
+    bookmarks: 'Browser bookmarks (Netscape HTML)'
+};
+
+// Feed documents served by server.py, keyed by MIME type
+const FEED_TYPES = {
+    'application/atom+xml': '/feeds/atom.xml',
+    'application/feed+json': '/feeds/feed.json'
+};
+
+// Export formats offered in the toolbar menu, handled by buildExport
+const EXPORT_FORMATS = {
+    json: 'JSON',
+    markdown: 'Markdown reading log',
+    opml: 'OPML',
+    bibtex: 'BibTeX',
+    csl: 'CSL-JSON',
+    bookmarks: 'Netscape bookmarks',
+    csv: 'CSV'
+};
+
+// localStorage key for saved filter presets
+const FILTER_PRESETS_KEY = 'readingArchive.filterPresets';
+
+// localStorage key for sort and grouping preferences
+const VIEW_OPTIONS_KEY = 'readingArchive.viewOptions';
+
+// Sort fields offered in the toolbar ('default' keeps archive or relevance order)
+const SORT_OPTIONS = {
+    default: 'Default order',
+    date: 'Date',
+    title: 'Title',
+    domain: 'Site',
+    favorite: 'Favorites',
+    rating: 'Rating'
+};
+
+// Grouping options offered in the toolbar
+const GROUP_OPTIONS = {
+    none: 'No grouping',
+    month: 'Group by month',
+    domain: 'Group by site'
+};
+
+// Card densities offered in the toolbar
+const DENSITY_OPTIONS = {
+    compact: 'Compact',
+    comfortable: 'Comfortable',
+    grid: 'Grid'
+};
+
+// Content types shown as a badge on cards, inferred from the URL by getContentType
+const CONTENT_TYPES = {
+    article: 'Article',
+    video: 'Video',
+    tweet: 'Tweet',
+    paper: 'Paper'
+};
+
+// Hosts whose links are always one content type; subdomains match too
+const CONTENT_TYPE_HOSTS = {
+    video: ['youtube.com', 'youtu.be', 'vimeo.com', 'tiktok.com', 'twitch.tv', 'ted.com'],
+    tweet: ['x.com', 'twitter.com', 'bsky.app', 'threads.net'],
+    paper: ['arxiv.org', 'doi.org', 'ssrn.com', 'biorxiv.org', 'medrxiv.org', 'dl.acm.org', 'semanticscholar.org', 'openreview.net', 'jstor.org']
+};
+
+let viewOptions = {
+    sort: 'default',
+    direction: 'desc',
+    group: 'none',
+    density: 'comfortable'
+};
+
+// Reading statuses, in workflow order
+const STATUS_OPTIONS = {
+    queued: 'To read',
+    'in-progress': 'Reading',
+    finished: 'Finished',
+    abandoned: 'Abandoned'
+};
+
+// Statuses shown in the Queue view
+const QUEUE_STATUSES = ['queued', 'in-progress'];
+
+// Views with their own toolbar button; the main list is the default
+const VIEW_LABELS = {
+    queue: 'Queue',
+    timeline: 'Timeline',
+    highlights: 'All highlights',
+    stats: 'Stats',
+    tags: 'Tags',
+    archive: 'Archived'
+};
+
+// Quick ranges offered next to the date range picker
+const DATE_RANGE_PRESETS = {
+    '': 'Any date',
+    'this-week': 'This week',
+    'last-week': 'Last week',
+    'this-month': 'This month',
+    'last-month': 'Last month',
+    'last-30-days': 'Last 30 days',
+    'this-year': 'This year',
+    'last-year': 'Last year'
+};
+
+// How many periods the stats dashboard charts
+const STATS_MONTHS = 12;
+const STATS_WEEKS = 26;
+const STATS_TOP_COUNT = 10;
+
+// How many existing tags the editor suggests at once
+const TAG_SUGGESTION_LIMIT = 8;
+
+// How many matches the command palette lists
+const PALETTE_RESULT_LIMIT = 50;
+
+// Optional columns filled from the article page by the server's metadata fetcher
+const METADATA_COLUMNS = ['author', 'published', 'site_name', 'image', 'excerpt'];
+
+// Columns written to articles.csv, in order
+const CSV_COLUMNS = [
+    'id', 'title', 'url', 'date', 'favorite', 'review', 'tags', 'archived',
+    'status', 'started', 'finished', 'rating', 'highlights', ...METADATA_COLUMNS
+];
+
+// Ratings run from 1 to 5 stars; 0 means unrated
+const MAX_RATING = 5;
+
+// Minimum rating choices for the rating filter
+const RATING_FILTER_OPTIONS = {
+    0: 'Any rating',
+    1: '★ 1+',
+    2: '★ 2+',
+    3: '★ 3+',
+    4: '★ 4+',
+    5: '★ 5'
+};
+
+/**
+ * Generate a unique, persistent id for an article
+ * @param {Set<string>} [takenIds] - Ids already in use
+ * @returns {string} New article id
+ */
+function generateArticleId(takenIds = new Set(articles.map(article => article.id))) {
+    let id;
+    do {
+        id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    } while (takenIds.has(id));
+    return id;
+}
+
+/**
+ * Find an article by id
+ * @param {string} id - Article id
+ * @returns {Object|undefined} Article object
+ */
+function findArticle(id) {
+    return articles.find(article => article.id === id);
+}
+
+/**
+ * Split CSV text into records following RFC 4180
+ * Handles quoted and unquoted fields, escaped quotes (""), line breaks inside
+ * quoted fields, CRLF line endings and a leading byte order mark
+ * @param {string} csvText - Raw CSV content
+ * @returns {Array<Object>} Records as { line, fields, error } where line is the 1-based starting line
+ */
+function parseCSVRecords(csvText) {
+    const text = csvText.charCodeAt(0) === 0xFEFF ? csvText.slice(1) : csvText;
+    const records = [];
+    
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let fieldWasQuoted = false;
+    let error = null;
+    let line = 1;
+    let recordLine = 1;
+    
+    function endField() {
+        fields.push(field);
+        field = '';
+        fieldWasQuoted = false;
+    }
+    
+    function endRecord() {
+        endField();
+        // Blank lines produce a single empty field and are not records
+        if (fields.length > 1 || fields[0] !== '' || error) {
+            records.push({ line: recordLine, fields, error });
+        }
+        fields = [];
+        error = null;
+    }
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+        
+        if (char === '"') {
+            if (field === '' && !fieldWasQuoted) {
+                inQuotes = true;
+                fieldWasQuoted = true;
+            } else {
+                error = error || 'unexpected quote inside a field';
+                field += char;
+            }
+        } else if (char === ',') {
+            endField();
+            // Tolerate spaces after the delimiter before a quoted field
+            while (text[i + 1] === ' ' && text[i + 2] === '"') i++;
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else if (fieldWasQuoted) {
+            error = error || 'unexpected text after a closing quote';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (inQuotes) {
+        error = 'unterminated quoted field';
+    }
+    if (field !== '' || fields.length > 0 || error) {
+        endRecord();
+    }
+    
+    return records;
+}
 
 /**
  * Parse CSV data into article objects
+ * Rows that cannot be turned into an article are left out and reported in skippedRows.
+ * Rows without an id (files written before ids existed) or with a duplicate id get a new one.
  * @param {string} csvText - Raw CSV content
+ * @param {Array<Object>} [skippedRows] - Receives { line, reason } for every skipped row
+ * @param {Array<number>} [migratedRows] - Receives the line of every row that was given a new id
  * @returns {Array<Object>} Array of article objects
  */
-function parseCSV(csvText) {
-    const lines = csvText.trim().split('\n');
+function parseCSV(csvText, skippedRows = [], migratedRows = []) {
+    const records = parseCSVRecords(csvText);
     const parsedArticles = [];
+    const seenIds = new Set();
+    
+    if (records.length === 0) {
+        return parsedArticles;
+    }
+    
+    // Map header names to field positions so column order doesn't matter
+    const header = records[0].fields.map(name => name.trim().toLowerCase());
+    const columnIndex = {};
+    CSV_COLUMNS.forEach(column => {
+        columnIndex[column] = header.indexOf(column);
+    });
+    
+    const missingColumns = ['title', 'url', 'date'].filter(column => columnIndex[column] === -1);
+    if (missingColumns.length > 0) {
+        skippedRows.push({ line: records[0].line, reason: `header is missing ${missingColumns.join(', ')}` });
+        return parsedArticles;
+    }
     
-    // Skip header row and process data rows
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
+    for (let i = 1; i < records.length; i++) {
+        const { line, fields, error } = records[i];
         
-        // Enhanced CSV parsing to handle 6 columns (title, url, date, favorite, review, tags)
-        const matches = line.match(/^"([^"]*)",\s*"([^"]*)",\s*"([^"]*)",\s*"([^"]*)",\s*"([^"]*)",\s*"([^"]*)"$/);
-        if (matches) {
-            const [, title, url, date, favorite, review, tags] = matches;
-            
-            if (title && url && date) {
-                try {
-                    // Parse tags from comma-separated string
-                    const tagArray = tags ? tags.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
-                    
-                    parsedArticles.push({
-                        title,
-                        url,
-                        date,
-                        favorite: favorite === 'true',
-                        review: review || '',
-                        tags: tagArray,
-                        domain: new URL(url).hostname.replace('www.', ''),
-                        originalIndex: i - 1 // Store original index for CSV updates
-                    });
-                } catch (error) {
-                    console.warn('Invalid URL:', url, error);
-                }
-            }
+        if (error) {
+            skippedRows.push({ line, reason: error });
+            continue;
+        }
+        if (fields.length !== header.length) {
+            skippedRows.push({ line, reason: `expected ${header.length} fields but found ${fields.length}` });
+            continue;
+        }
+        
+        const value = column => columnIndex[column] === -1 ? '' : fields[columnIndex[column]];
+        const title = value('title');
+        const url = value('url');
+        const date = value('date');
+        const tags = value('tags');
+        
+        if (!title || !url || !date) {
+            const missing = [['title', title], ['url', url], ['date', date]]
+                .filter(([, fieldValue]) => !fieldValue)
+                .map(([name]) => name);
+            skippedRows.push({ line, reason: `missing ${missing.join(', ')}` });
+            continue;
         }
+        
+        let domain;
+        try {
+            domain = new URL(url).hostname.replace('www.', '');
+        } catch (error) {
+            skippedRows.push({ line, reason: `invalid URL "${url}"` });
+            continue;
+        }
+        
+        let id = value('id').trim();
+        if (!id || seenIds.has(id)) {
+            id = generateArticleId(seenIds);
+            migratedRows.push(line);
+        }
+        seenIds.add(id);
+        
+        parsedArticles.push({
+            id,
+            title,
+            url,
+            date,
+            favorite: value('favorite') === 'true',
+            review: value('review'),
+            // Parse tags from comma-separated string
+            tags: tags ? tags.split(',').map(tag => tag.trim()).filter(tag => tag) : [],
+            archived: value('archived') === 'true',
+            // Rows from before reading statuses existed were all read
+            status: value('status') in STATUS_OPTIONS ? value('status') : 'finished',
+            started: value('started'),
+            finished: value('finished'),
+            rating: parseRating(value('rating')),
+            highlights: parseHighlights(value('highlights')),
+            ...pickMetadata(Object.fromEntries(METADATA_COLUMNS.map(column => [column, value(column)]))),
+            domain
+        });
     }
     
     return parsedArticles;
 }
 
+/**
+ * Quote a value for CSV output, doubling any embedded quotes
+ * @param {*} value - Field value
+ * @returns {string} Quoted CSV field
+ */
+function escapeCSVField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
 /**
  * Convert articles back to CSV format
  * @param {Array<Object>} articles - Array of article objects
  * @returns {string} CSV formatted string
  */
 function articlesToCSV(articles) {
-    const header = 'title,url,date,favorite,review,tags';
+    const header = CSV_COLUMNS.join(',');
     const rows = articles.map(article => {
-        const tagsString = (article.tags || []).join(',');
-        return `"${article.title}","${article.url}","${article.date}","${article.favorite}","${article.review || ''}","${tagsString}"`;
+        const values = {
+            ...article,
+            favorite: Boolean(article.favorite),
+            archived: Boolean(article.archived),
+            tags: (article.tags || []).join(','),
+            rating: article.rating || '',
+            // Highlights can contain commas and newlines, so they are stored as JSON
+            highlights: article.highlights && article.highlights.length > 0 ? JSON.stringify(article.highlights) : ''
+        };
+        return CSV_COLUMNS.map(column => escapeCSVField(values[column])).join(',');
     });
     return [header, ...rows].join('\n');
 }
 
 /**
- * Save updated CSV to server
- * @param {string} csvContent - CSV content to save
+ * Read a rating from a CSV field
+ * @param {string} value - Field value
+ * @returns {number} Rating from 1 to MAX_RATING, or 0 when unrated
+ */
+function parseRating(value) {
+    const rating = parseInt(value, 10);
+    return rating >= 1 && rating <= MAX_RATING ? rating : 0;
+}
+
+/**
+ * Bring a highlight into { quote, note, location } form
+ * Plain strings are highlights saved before notes and locations existed.
+ * @param {Object|string} highlight - Stored highlight
+ * @returns {Object|null} Highlight, or null if it has no quote
+ */
+function normalizeHighlight(highlight) {
+    const source = typeof highlight === 'string' ? { quote: highlight } : highlight || {};
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const quote = text(source.quote);
+    return quote ? { quote, note: text(source.note), location: text(source.location) } : null;
+}
+
+/**
+ * Read the highlights list from a CSV field
+ * @param {string} value - JSON array of highlights, or empty
+ * @returns {Array<Object>} Highlights as { quote, note, location }
+ */
+function parseHighlights(value) {
+    if (!value) return [];
+    let highlights;
+    try {
+        highlights = JSON.parse(value);
+    } catch (error) {
+        // Treat a hand-edited field that isn't JSON as a single highlight
+        highlights = [value];
+    }
+    return Array.isArray(highlights) ? highlights.map(normalizeHighlight).filter(highlight => highlight) : [];
+}
+
+/**
+ * Pick the metadata columns of an article, defaulting to empty strings
+ * @param {Object} source - Article or metadata response
+ * @returns {Object} Metadata fields
+ */
+function pickMetadata(source) {
+    return Object.fromEntries(METADATA_COLUMNS.map(column => [column, (source && source[column]) || '']));
+}
+
+/**
+ * Ask the server for the title and metadata of a page
+ * @param {string} url - Page URL
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Object} { url, title, author, published, site_name, image, excerpt }
+ */
+async function fetchArticleMetadata(url, signal) {
+    const response = await fetchArchiveAPI(`/api/metadata?url=${encodeURIComponent(url)}`, { signal });
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.message || `HTTP error! status: ${response.status}`);
+    }
+    return result;
+}
+
+/**
+ * Describe fetched metadata in one line for the editor
+ * @param {Object} metadata - Metadata fields
+ * @returns {string} Summary such as "By Jane Doe · The Atlantic · Published 2024-03-01"
+ */
+function formatMetadata(metadata) {
+    return [
+        metadata.author ? `By ${metadata.author}` : '',
+        metadata.site_name,
+        metadata.published ? `Published ${metadata.published}` : ''
+    ].filter(part => part).join(' · ');
+}
+
+/**
+ * Fetch from the archive API, marking the error as offline when the server can't be reached
+ * @param {string} url - API URL
+ * @param {Object} [options] - fetch options
+ * @returns {Response} The response
+ */
+async function fetchArchiveAPI(url, options) {
+    let response;
+    try {
+        response = await fetch(url, options);
+    } catch (networkError) {
+        // An aborted request says nothing about the connection
+        if (networkError.name === 'AbortError') throw networkError;
+        response = null;
+    }
+    
+    // Gateway errors mean the server behind a proxy is down, which is the same as offline
+    if (!response || [502, 503, 504].includes(response.status)) {
+        isOffline = true;
+        updateSyncStatus();
+        const error = new Error('The server could not be reached');
+        error.offline = true;
+        throw error;
+    }
+    
+    isOffline = false;
+    return response;
+}
+
+/**
+ * Send article operations to the server in one request
+ * Each operation is { op: 'put' | 'delete', id, article, version, position }. If an article
+ * changed on the server since its version was loaded, nothing is saved and the thrown error
+ * has status 409 plus the server's current copies in conflicts. Other refusals carry the
+ * HTTP status and the reason for each refused article in articleErrors.
+ * @param {Array<Object>} operations - Operations for /api/articles/batch
+ * @returns {Array<Object>} Saved articles, or { id, deleted } for deletions
  */
-async function saveCSV(csvContent) {
+async function saveArticleOperations(operations) {
     try {
-        const response = await fetch('/api/save-csv', {
+        const response = await fetchArchiveAPI('/api/articles/batch', {
             method: 'POST',
             headers: {
-                'Content-Type': 'text/plain',
+                'Content-Type': 'application/json',
             },
-            body: csvContent
+            body: JSON.stringify({ operations })
         });
         
+        const result = await response.json().catch(() => ({}));
+        
+        if (response.status === 409) {
+            const error = new Error('Articles changed on the server');
+            error.status = 409;
+            error.conflicts = result.conflicts || [];
+            throw error;
+        }
+        
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            const articleErrors = new Map((result.errors || [])
+                .map(({ id, errors }) => [id, Object.values(errors).join(', ')]));
+            const details = [...articleErrors.values()].join('; ');
+            const error = new Error(details || result.message || `HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            error.articleErrors = articleErrors;
+            throw error;
         }
         
-        const result = await response.json();
-        console.log('Save successful:', result.message);
+        console.log(`Saved ${result.articles.length} article change(s)`);
+        
+        // Remember what the server now has, as the base for the next save
+        result.articles.forEach(saved => {
+            if (saved.deleted) {
+                articleVersions.delete(saved.id);
+                syncedArticles.delete(saved.id);
+            } else {
+                articleVersions.set(saved.id, saved.version);
+                syncedArticles.set(saved.id, articleFromApi(saved));
+            }
+        });
         
-        return result;
+        return result.articles;
     } catch (error) {
-        console.error('Error saving CSV:', error);
+        // Conflicts and being offline are expected and handled by the caller
+        if (error.status !== 409 && !error.offline) {
+            console.error('Error saving articles:', error);
+        }
         throw error;
     }
 }
 
 /**
- * Format date for display
- * @param {string} dateString - Date in YYYY-MM-DD format
- * @returns {string} Formatted date string
+ * Turn an article from the API into an article object
+ * @param {Object} data - Article as returned by /api/articles
+ * @returns {Object} Article object
  */
-function formatDate(dateString) {
+function articleFromApi(data) {
+    const { version, ...fields } = data;
+    return {
+        ...fields,
+        tags: fields.tags || [],
+        domain: new URL(fields.url).hostname.replace('www.', '')
+    };
+}
+
+/**
+ * Pick the stored fields of an article for sending to the API
+ * @param {Object} article - Article object
+ * @returns {Object} Article fields without the id and derived values
+ */
+function articleToApi(article) {
+    return Object.fromEntries(getMergeFields().map(field => [field, article[field]]));
+}
+
+/**
+ * Build the operation that brings the server in line with the local copy of an article
+ * @param {string} articleId - Id of the article
+ * @returns {Object} Operation for saveArticleOperations
+ */
+function createArticleOperation(articleId) {
+    const savedArticles = articles.filter(isSavedArticle);
+    const position = savedArticles.findIndex(article => article.id === articleId);
+    const version = articleVersions.has(articleId) ? articleVersions.get(articleId) : null;
+    
+    if (position === -1) {
+        return { op: 'delete', id: articleId, version };
+    }
+    return { op: 'put', id: articleId, article: articleToApi(savedArticles[position]), version, position };
+}
+
+/**
+ * Check whether an article has been saved
+ * Unsaved new articles have neither title nor URL
+ * @param {Object} article - Article object
+ * @returns {boolean} True if the article belongs in the file
+ */
+function isSavedArticle(article) {
+    return Boolean(article.title || article.url);
+}
+
+/**
+ * Save the local state of the changed articles to the server
+ * The articles are queued first, so if the server can't be reached the change is kept on
+ * this device and replayed later instead of failing.
+ * @param {Array<Object>} changes - Changes from createArticleChange
+ */
+async function persistArticleChanges(changes) {
+    const articleIds = [...new Set(changes.map(change => change.id))];
+    
+    articleIds.forEach(id => pendingArticleIds.add(id));
+    await cacheArchive();
+    updateSyncIndicators();
+    
     try {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            year: 'numeric'
-        });
+        await syncPendingArticles(articleIds);
     } catch (error) {
-        console.warn('Invalid date:', dateString);
-        return dateString;
+        if (error.offline) {
+            showToast('Offline: saved on this device and will sync when the server is back');
+            return;
+        }
+        
+        // The caller rolls the change back, so it must not be replayed later
+        articleIds.forEach(id => pendingArticleIds.delete(id));
+        await cacheArchive();
+        updateSyncIndicators();
+        throw error;
     }
 }
 
 /**
- * Create a tag input element
- * @param {string} value - Initial value for the tag input
- * @param {HTMLElement} container - Container to add the input to
- * @param {Function} onInput - Callback for input changes
- * @returns {HTMLElement} The created input element
+ * Send every queued article to the server
+ * Runs one sync at a time. If someone else changed the same articles in the meantime,
+ * their changes are merged in and the save retried.
+ * @param {Array<string>} [articleIds] - Articles to include even if another sync dequeued them
+ * @returns {Promise} Resolves when the queue has been sent
  */
-function createTagInput(value = '', container, onInput) {
-    const input = document.createElement('input');
-    input.type = 'text';
-    input.className = 'tag-input';
-    input.value = value;
-    input.placeholder = 'Add tag...';
-    
-    input.addEventListener('input', () => {
-        if (onInput) onInput();
+function syncPendingArticles(articleIds = []) {
+    const run = syncChain.then(async () => {
+        let ids = [...new Set([...pendingArticleIds, ...articleIds])];
+        if (ids.length === 0) return;
         
-        // Auto-add new empty input if this one has content and is the last one
-        if (input.value.trim() && input === container.lastElementChild) {
-            createTagInput('', container, onInput);
-        }
+        isSyncing = true;
+        updateSyncStatus();
         
-        // Remove empty inputs (except the last one)
-        if (!input.value.trim() && input !== container.lastElementChild) {
-            container.removeChild(input);
+        try {
+            for (let attempt = 0; attempt < 3; attempt++) {
+                try {
+                    await saveArticleOperations(ids.map(createArticleOperation));
+                    ids.forEach(id => {
+                        pendingArticleIds.delete(id);
+                        rejectedArticles.delete(id);
+                    });
+                    await cacheArchive();
+                    return;
+                } catch (error) {
+                    if (error.status !== 409) {
+                        throw error;
+                    }
+                    
+                    // Articles whose merge was cancelled wait for the user instead of being retried
+                    const unresolvedIds = await mergeServerChanges(error.conflicts);
+                    if (unresolvedIds.length > 0) {
+                        keepConflictedArticles(unresolvedIds);
+                        ids = ids.filter(id => !unresolvedIds.includes(id));
+                        if (ids.length === 0) return;
+                    }
+                }
+            }
+            
+            throw new Error('These articles keep changing on the server. Please reload and try again.');
+        } finally {
+            isSyncing = false;
+            updateSyncIndicators();
         }
     });
     
-    container.appendChild(input);
-    return input;
+    syncChain = run.catch(() => {});
+    return run;
 }
 
 /**
- * Get all tag values from a container
- * @param {HTMLElement} container - Container with tag inputs
- * @returns {Array<string>} Array of tag values
+ * Retry queued changes in the background, e.g. when the browser comes back online
  */
-function getTagsFromContainer(container) {
-    const inputs = container.querySelectorAll('.tag-input');
-    return Array.from(inputs)
-        .map(input => input.value.trim())
-        .filter(value => value);
+function retryPendingSync() {
+    if (pendingArticleIds.size === 0) return;
+    
+    syncPendingArticles().catch(error => {
+        if (error.offline) return;
+        
+        console.error('Error syncing queued changes:', error);
+        if (error.status >= 400 && error.status < 500) {
+            // Retrying won't help, so take the refused articles out of the queue
+            rejectQueuedArticles(error);
+            retryPendingSync();
+        } else {
+            showToast('Some changes made offline could not be saved. Please review them.');
+        }
+    });
 }
 
 /**
- * Set up tag inputs for an article in edit mode
- * @param {HTMLElement} container - Tags container element
- * @param {Array<string>} tags - Current tags for the article
- * @param {Function} onInput - Callback for input changes
+ * Move queued articles the server refused out of the sync queue
+ * The local copy is kept, marked as not saved, until it is edited into something the
+ * server accepts or discarded. If the server didn't say which articles it refused, the
+ * whole queue is moved.
+ * @param {Error} error - Error from saveArticleOperations
  */
-function setupTagInputs(container, tags, onInput) {
-    // Clear existing inputs
-    container.innerHTML = '';
+function rejectQueuedArticles(error) {
+    const articleErrors = error.articleErrors || new Map();
+    const refusedIds = [...pendingArticleIds].filter(id => articleErrors.has(id));
+    const ids = refusedIds.length > 0 ? refusedIds : [...pendingArticleIds];
     
-    // Add inputs for existing tags
-    tags.forEach(tag => {
-        createTagInput(tag, container, onInput);
+    ids.forEach(id => {
+        pendingArticleIds.delete(id);
+        rejectedArticles.set(id, articleErrors.get(id) || error.message);
     });
+    cacheArchive();
+    updateSyncIndicators();
     
-    // Always have at least one empty input
-    createTagInput('', container, onInput);
+    const message = ids.length === 1
+        ? `A change made offline was refused by the server: ${rejectedArticles.get(ids[0])}`
+        : `${ids.length} changes made offline were refused by the server`;
+    showToast(`${message}. Edit to fix, or discard.`, 'Discard', () => discardRejectedChanges(ids));
 }
 
 /**
- * Enter edit mode for a specific article
- * @param {number} articleIndex - Index of the article to edit
- * @param {HTMLElement} articleElement - The article DOM element
+ * Take articles whose merge was cancelled out of the sync queue
+ * They keep the local copy and the old server version, so saving them again runs into
+ * the same conflict and asks again instead of overwriting the other changes.
+ * @param {Array<string>} ids - Articles left unmerged
  */
-function enterEditMode(articleIndex, articleElement) {
-    articleElement.classList.add('editing');
-    
-    const article = articles[articleIndex];
-    const dateInput = articleElement.querySelector('.article-date-input');
-    const favoriteInput = articleElement.querySelector('.favorite-checkbox');
-    const urlInput = articleElement.querySelector('.article-url-input');
-    const titleInput = articleElement.querySelector('.article-title-input');
-    const reviewInput = articleElement.querySelector('.article-review-input');
-    const tagsContainer = articleElement.querySelector('.article-tags-container');
-    const saveButton = articleElement.querySelector('.save-button');
-    
-    // Determine if this is a new article (no title and URL)
-    const isNewArticle = !article.title && !article.url;
+function keepConflictedArticles(ids) {
+    ids.forEach(id => {
+        pendingArticleIds.delete(id);
+        rejectedArticles.set(id, 'it was also changed somewhere else and the merge was cancelled');
+    });
+    cacheArchive();
+    updateSyncIndicators();
     
-    // Set values
-    dateInput.value = article.date;
-    favoriteInput.checked = article.favorite;
-    urlInput.value = article.url || '';
-    titleInput.value = article.title;
-    reviewInput.value = article.review || '';
+    const message = ids.length === 1
+        ? 'Your change was not saved because the article was also changed somewhere else'
+        : `${ids.length} changes were not saved because the articles were also changed somewhere else`;
+    showToast(`${message}. Edit to merge again, or discard.`, 'Discard', () => discardRejectedChanges(ids));
+}
+
+/**
+ * Throw away refused changes and go back to the server copy of those articles
+ * @param {Array<string>} [ids] - Articles to revert; all refused articles by default
+ */
+function discardRejectedChanges(ids = [...rejectedArticles.keys()]) {
+    ids.forEach(id => {
+        if (!rejectedArticles.has(id)) return;
+        rejectedArticles.delete(id);
+        
+        const serverCopy = snapshotArticle(syncedArticles.get(id));
+        const position = articles.findIndex(article => article.id === id);
+        if (!serverCopy) {
+            if (position !== -1) articles.splice(position, 1);
+        } else if (position !== -1) {
+            articles[position] = serverCopy;
+        } else {
+            articles.unshift(serverCopy);
+        }
+    });
     
-    // Always show URL input for both new and existing articles
-    urlInput.style.display = 'block';
+    cacheArchive();
+    applyFilters();
+    updateSyncIndicators();
+}
+
+/**
+ * Open the IndexedDB database that holds the offline copy of the archive
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openArchiveDB() {
+    if (!archiveDB) {
+        archiveDB = new Promise((resolve, reject) => {
+            const request = indexedDB.open(ARCHIVE_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(ARCHIVE_DB_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return archiveDB;
+}
+
+/**
+ * Save the archive, server versions and sync queue to IndexedDB
+ */
+async function cacheArchive() {
+    clearTimeout(cacheTimeout);
     
-    // Focus appropriate input
-    if (isNewArticle) {
-        urlInput.focus(); // Focus URL input for new articles
+    try {
+        const db = await openArchiveDB();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(ARCHIVE_DB_STORE, 'readwrite');
+            const store = transaction.objectStore(ARCHIVE_DB_STORE);
+            store.put(articles.filter(isSavedArticle), 'articles');
+            store.put([...articleVersions], 'versions');
+            store.put([...syncedArticles], 'synced');
+            store.put([...pendingArticleIds], 'queue');
+            store.put([...rejectedArticles], 'rejected');
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } catch (error) {
+        console.warn('Could not cache the archive for offline use:', error);
+    }
+}
+
+/**
+ * Cache the archive shortly, so a burst of changes is written once
+ */
+function scheduleArchiveCache() {
+    clearTimeout(cacheTimeout);
+    cacheTimeout = setTimeout(cacheArchive, 250);
+}
+
+/**
+ * Read the offline copy of the archive from IndexedDB
+ * @returns {Object|null} { articles, versions, synced, queue, rejected } or null if there is none
+ */
+async function loadCachedArchive() {
+    try {
+        const db = await openArchiveDB();
+        const read = key => new Promise((resolve, reject) => {
+            const request = db.transaction(ARCHIVE_DB_STORE).objectStore(ARCHIVE_DB_STORE).get(key);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        const cachedArticles = await read('articles');
+        if (!cachedArticles) return null;
+        
+        return {
+            articles: cachedArticles,
+            versions: new Map(await read('versions') || []),
+            synced: new Map(await read('synced') || []),
+            queue: new Set(await read('queue') || []),
+            rejected: new Map(await read('rejected') || [])
+        };
+    } catch (error) {
+        console.warn('Could not read the offline copy of the archive:', error);
+        return null;
+    }
+}
+
+/**
+ * Show whether each rendered card has unsynced changes, and update the toolbar status
+ */
+function updateSyncIndicators() {
+    document.querySelectorAll('.article-item').forEach(articleElement => {
+        const status = articleElement.querySelector('.article-sync-status');
+        if (status) {
+            setSyncStatusElement(status, articleElement.dataset.id);
+        }
+    });
+    updateSyncStatus();
+}
+
+/**
+ * Set a card's sync badge to pending, refused or synced
+ * @param {HTMLElement} status - The card's sync status element
+ * @param {string} articleId - Id of the card's article
+ */
+function setSyncStatusElement(status, articleId) {
+    if (rejectedArticles.has(articleId)) {
+        status.className = 'article-sync-status rejected';
+        status.textContent = 'Not saved';
+        status.title = `The server refused this change: ${rejectedArticles.get(articleId)}. Edit the article to fix it, or discard it from the sync status.`;
+        return;
+    }
+    
+    const pending = pendingArticleIds.has(articleId);
+    status.className = pending ? 'article-sync-status pending' : 'article-sync-status synced';
+    status.textContent = pending ? 'Pending sync' : '';
+    status.title = pending ? 'Saved on this device, waiting to sync with the server' : 'Synced';
+}
+
+/**
+ * Update the sync status shown in the toolbar
+ */
+function updateSyncStatus() {
+    const syncStatus = elements.syncStatus();
+    if (!syncStatus) return;
+    
+    const pendingCount = pendingArticleIds.size;
+    const pendingText = `${pendingCount} ${pendingCount === 1 ? 'change' : 'changes'} pending`;
+    const rejectedCount = rejectedArticles.size;
+    
+    if (isOffline) {
+        syncStatus.textContent = pendingCount > 0 ? `Offline · ${pendingText}` : 'Offline';
+    } else if (isSyncing) {
+        syncStatus.textContent = 'Syncing...';
+    } else if (rejectedCount > 0) {
+        syncStatus.textContent = `${rejectedCount} not saved`;
     } else {
-        titleInput.focus(); // Focus title input for existing articles
+        syncStatus.textContent = pendingCount > 0 ? pendingText : 'All changes synced';
     }
+    syncStatus.title = rejectedCount > 0 ? 'The server refused some changes; click to discard them' : '';
+    syncStatus.classList.toggle('offline', isOffline);
+    syncStatus.classList.toggle('pending', pendingCount > 0);
+    syncStatus.classList.toggle('rejected', rejectedCount > 0);
+}
+
+/**
+ * Create the sync status in the toolbar and start background syncing
+ */
+function setupSync() {
+    const syncStatus = document.createElement('span');
+    syncStatus.id = 'sync-status';
+    syncStatus.className = 'sync-status';
+    getToolbar().appendChild(syncStatus);
+    updateSyncStatus();
     
-    // Set up tag inputs
-    setupTagInputs(tagsContainer, article.tags || [], checkForChanges);
+    syncStatus.addEventListener('click', () => {
+        const count = rejectedArticles.size;
+        if (count > 0 && confirm(`Discard ${count} ${count === 1 ? 'change' : 'changes'} the server refused and go back to the saved ${count === 1 ? 'copy' : 'copies'}?`)) {
+            discardRejectedChanges();
+        }
+    });
     
-    // Auto-resize textarea
-    titleInput.style.height = 'auto';
-    titleInput.style.height = titleInput.scrollHeight + 'px';
+    window.addEventListener('online', retryPendingSync);
+    setInterval(retryPendingSync, SYNC_RETRY_INTERVAL);
+}
+
+/**
+ * Check whether two field values are equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Get the article fields that take part in merging (everything stored except the id)
+ * @returns {Array<string>} Field names
+ */
+function getMergeFields() {
+    return CSV_COLUMNS.filter(column => column !== 'id');
+}
+
+/**
+ * Check whether two versions of an article are equal; null means "does not exist"
+ * @param {Object|null} a - First version
+ * @param {Object|null} b - Second version
+ * @returns {boolean} True if equal
+ */
+function sameArticle(a, b) {
+    if (!a || !b) {
+        return a === b;
+    }
+    return getMergeFields().every(field => sameValue(a[field], b[field]));
+}
+
+/**
+ * Three-way merge of one article
+ * Fields changed on only one side are taken from that side. Fields changed differently on
+ * both sides, or an edit on one side against a delete on the other, are conflicts.
+ * @param {Object|null} base - Version both sides started from
+ * @param {Object|null} mine - Local version
+ * @param {Object|null} theirs - Server version
+ * @returns {Object} { merged, conflictFields } where conflictFields is only set on conflict
+ */
+function mergeArticle(base, mine, theirs) {
+    if (sameArticle(mine, theirs) || sameArticle(theirs, base)) {
+        return { merged: mine };
+    }
+    if (sameArticle(mine, base)) {
+        return { merged: theirs };
+    }
+    if (!mine || !theirs) {
+        return { merged: mine, conflictFields: [] };
+    }
     
-    // Track changes to show save button
-    let hasChanges = false;
+    const merged = { ...mine };
+    const conflictFields = [];
+    getMergeFields().forEach(field => {
+        const baseValue = base ? base[field] : undefined;
+        if (sameValue(mine[field], baseValue)) {
+            merged[field] = theirs[field];
+        } else if (!sameValue(theirs[field], baseValue) && !sameValue(mine[field], theirs[field])) {
+            conflictFields.push(field);
+        }
+    });
+    merged.domain = new URL(merged.url).hostname.replace('www.', '');
     
-    function checkForChanges() {
-        const titleChanged = titleInput.value.trim() !== article.title;
-        const dateChanged = dateInput.value !== article.date;
-        const favoriteChanged = favoriteInput.checked !== article.favorite;
-        const urlChanged = urlInput.value.trim() !== (article.url || '');
-        const reviewChanged = reviewInput.value.trim() !== (article.review || '');
-        const currentTags = getTagsFromContainer(tagsContainer);
-        const originalTags = article.tags || [];
-        const tagsChanged = JSON.stringify(currentTags.sort()) !== JSON.stringify(originalTags.sort());
+    return conflictFields.length > 0 ? { merged, conflictFields } : { merged };
+}
+
+/**
+ * Merge newer server copies of articles into the local articles
+ * Conflicting articles are put to the user to resolve. If the user cancels, the articles
+ * that merged cleanly are still applied, and the conflicting ones keep their local copy and
+ * old server version so they can't be saved over the other changes.
+ * @param {Array<Object>} serverConflicts - { id, article } from a 409 response; article is null if deleted
+ * @returns {Array<string>} Ids of the articles left unmerged because the user cancelled
+ */
+async function mergeServerChanges(serverConflicts) {
+    const merged = new Map();
+    const conflicts = [];
+    
+    serverConflicts.forEach(({ id, article }) => {
+        const base = syncedArticles.get(id) || null;
+        const mine = articles.find(existing => existing.id === id && isSavedArticle(existing)) || null;
+        const theirs = article ? articleFromApi(article) : null;
+        const result = mergeArticle(base, mine, theirs);
         
-        if ((titleChanged || dateChanged || favoriteChanged || urlChanged || reviewChanged || tagsChanged || isNewArticle) && !hasChanges) {
-            hasChanges = true;
-            saveButton.classList.add('show');
-        } else if (!titleChanged && !dateChanged && !favoriteChanged && !urlChanged && !reviewChanged && !tagsChanged && !isNewArticle && hasChanges) {
-            hasChanges = false;
-            saveButton.classList.remove('show');
+        merged.set(id, result.merged);
+        if (result.conflictFields) {
+            conflicts.push({ id, base, mine, theirs, merged: result.merged, fields: result.conflictFields });
+        }
+    });
+    
+    let unresolvedIds = [];
+    if (conflicts.length > 0) {
+        try {
+            const choices = await resolveMergeConflicts(conflicts);
+            conflicts.forEach(conflict => {
+                if (choices.get(conflict.id) === 'theirs') {
+                    const resolved = conflict.theirs && conflict.mine
+                        ? { ...conflict.merged, ...Object.fromEntries(conflict.fields.map(field => [field, conflict.theirs[field]])) }
+                        : conflict.theirs;
+                    merged.set(conflict.id, resolved);
+                }
+            });
+        } catch (error) {
+            unresolvedIds = conflicts.map(conflict => conflict.id);
         }
     }
     
-    titleInput.addEventListener('input', function() {
-        this.style.height = 'auto';
-        this.style.height = this.scrollHeight + 'px';
-        checkForChanges();
+    serverConflicts.forEach(({ id, article }) => {
+        if (unresolvedIds.includes(id)) return;
+        
+        // Only once the merge is settled does the server copy become the new base, and its
+        // version what the retry must match
+        if (article) {
+            articleVersions.set(id, article.version);
+            syncedArticles.set(id, articleFromApi(article));
+        } else {
+            articleVersions.delete(id);
+            syncedArticles.delete(id);
+        }
     });
     
-    dateInput.addEventListener('input', checkForChanges);
-    favoriteInput.addEventListener('change', checkForChanges);
-    urlInput.addEventListener('input', checkForChanges);
-    reviewInput.addEventListener('input', checkForChanges);
+    // Put the merged versions in place; articles that only exist on the server go on top
+    merged.forEach((article, id) => {
+        if (unresolvedIds.includes(id)) return;
+        
+        const position = articles.findIndex(existing => existing.id === id);
+        if (!article) {
+            if (position !== -1) articles.splice(position, 1);
+        } else if (position !== -1) {
+            articles[position] = snapshotArticle(article);
+        } else {
+            articles.unshift(snapshotArticle(article));
+        }
+    });
     
-    // Save functionality
-    saveButton.addEventListener('click', async () => {
-        if (!hasChanges && !isNewArticle) return;
+    applyFilters();
+    return unresolvedIds;
+}
+
+/**
+ * Format a field value for the merge dialog
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatMergeValue(value) {
+    if (Array.isArray(value)) {
+        return value.length > 0 ? value.join(', ') : '(none)';
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'yes' : 'no';
+    }
+    return value ? String(value) : '(empty)';
+}
+
+/**
+ * Ask the user how to resolve articles that were changed both here and on the server
+ * @param {Array<Object>} conflicts - Conflicts from mergeServerChanges
+ * @returns {Promise<Map>} Resolves with a map of article id to 'mine' or 'theirs'; rejects if cancelled
+ */
+function resolveMergeConflicts(conflicts) {
+    return new Promise((resolve, reject) => {
+        let modal = elements.mergeModal();
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'merge-modal';
+            modal.className = 'merge-modal';
+            document.body.appendChild(modal);
+        }
+        modal.innerHTML = '';
         
-        saveButton.disabled = true;
-        try {
-            const currentTags = getTagsFromContainer(tagsContainer);
+        const content = document.createElement('div');
+        content.className = 'merge-modal-content';
+        
+        const heading = document.createElement('h3');
+        heading.textContent = 'The archive was changed somewhere else';
+        content.appendChild(heading);
+        
+        const intro = document.createElement('p');
+        intro.textContent = 'Other changes were merged in automatically. Choose which version to keep for these articles:';
+        content.appendChild(intro);
+        
+        const choices = new Map();
+        conflicts.forEach(conflict => {
+            choices.set(conflict.id, 'mine');
             
-            if (isNewArticle) {
-                await saveNewArticle(articleIndex, titleInput.value.trim(), urlInput.value.trim(), dateInput.value, favoriteInput.checked, reviewInput.value.trim(), currentTags);
+            const item = document.createElement('div');
+            item.className = 'merge-conflict';
+            
+            const title = document.createElement('div');
+            title.className = 'merge-conflict-title';
+            title.textContent = (conflict.mine || conflict.theirs || conflict.base).title;
+            item.appendChild(title);
+            
+            const table = document.createElement('table');
+            table.className = 'merge-conflict-fields';
+            const addRow = (label, mineText, theirsText) => {
+                const row = document.createElement('tr');
+                [label, mineText, theirsText].forEach((text, i) => {
+                    const cell = document.createElement(i === 0 ? 'th' : 'td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                table.appendChild(row);
+            };
+            
+            addRow('', 'Yours', 'Theirs');
+            if (!conflict.mine || !conflict.theirs) {
+                addRow('', conflict.mine ? 'Edited' : 'Deleted', conflict.theirs ? 'Edited' : 'Deleted');
             } else {
-                // For existing articles, update the saveArticleChanges call to include URL
-                await saveArticleChangesWithUrl(articleIndex, titleInput.value.trim(), urlInput.value.trim(), dateInput.value, favoriteInput.checked, reviewInput.value.trim(), currentTags);
+                conflict.fields.forEach(field => {
+                    addRow(field, formatMergeValue(conflict.mine[field]), formatMergeValue(conflict.theirs[field]));
+                });
             }
-            exitEditMode(articleElement);
-        } finally {
-            saveButton.disabled = false;
+            item.appendChild(table);
+            
+            ['mine', 'theirs'].forEach(side => {
+                const label = document.createElement('label');
+                label.className = 'merge-choice';
+                
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `merge-${conflict.id}`;
+                radio.checked = side === 'mine';
+                radio.addEventListener('change', () => choices.set(conflict.id, side));
+                
+                label.appendChild(radio);
+                label.appendChild(document.createTextNode(side === 'mine' ? ' Keep yours' : ' Keep theirs'));
+                item.appendChild(label);
+            });
+            
+            content.appendChild(item);
+        });
+        
+        const applyButton = document.createElement('button');
+        applyButton.className = 'merge-apply-button';
+        applyButton.textContent = 'Save merged archive';
+        applyButton.addEventListener('click', () => {
+            modal.style.display = 'none';
+            resolve(choices);
+        });
+        
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'merge-cancel-button';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => {
+            modal.style.display = 'none';
+            reject(new Error('Merge cancelled'));
+        });
+        
+        content.appendChild(applyButton);
+        content.appendChild(cancelButton);
+        modal.appendChild(content);
+        modal.style.display = 'block';
+    });
+}
+
+/**
+ * Copy an article so later edits don't leak into command history
+ * @param {Object|null} article - Article object
+ * @returns {Object|null} Copy of the article
+ */
+function snapshotArticle(article) {
+    return article ? {
+        ...article,
+        tags: [...(article.tags || [])],
+        highlights: (article.highlights || []).map(highlight => ({ ...highlight }))
+    } : null;
+}
+
+/**
+ * Describe a change to one article for the command history
+ * @param {string} articleId - Id of the article
+ * @param {Object|null} fields - Fields to change, or null to delete the article
+ * @returns {Object} Change { id, before, after, position } where null means "does not exist"
+ */
+function createArticleChange(articleId, fields) {
+    const position = articles.findIndex(article => article.id === articleId);
+    const before = snapshotArticle(articles[position]);
+    
+    let after = null;
+    if (fields) {
+        after = snapshotArticle({ ...before, ...fields });
+        if (fields.url) {
+            after.domain = new URL(fields.url).hostname.replace('www.', '');
+        }
+    }
+    
+    return { id: articleId, before, after, position };
+}
+
+/**
+ * Put one side of a set of changes into the articles array
+ * @param {Array<Object>} changes - Changes from createArticleChange
+ * @param {string} side - 'before' to revert the changes, 'after' to apply them
+ */
+function applyArticleSnapshots(changes, side) {
+    const insertions = [];
+    
+    changes.forEach(change => {
+        const snapshot = change[side];
+        const position = articles.findIndex(article => article.id === change.id);
+        
+        if (position !== -1 && !snapshot) {
+            articles.splice(position, 1);
+        } else if (position !== -1) {
+            articles[position] = snapshotArticle(snapshot);
+        } else if (snapshot) {
+            insertions.push(change);
         }
     });
     
-    // Exit edit mode on Escape key
-    function handleKeydown(e) {
-        if (e.key === 'Escape') {
-            // For new articles, remove them if escape is pressed
-            if (isNewArticle) {
-                articles.shift(); // Remove from beginning instead of end
-                articleElement.remove();
-                elements.count().textContent = `${articles.length} articles`;
-            } else {
-                exitEditMode(articleElement);
-            }
-            document.removeEventListener('keydown', handleKeydown);
+    // Re-insert in ascending order so every article lands back at its recorded position
+    insertions
+        .sort((a, b) => a.position - b.position)
+        .forEach(change => {
+            const position = Math.max(0, Math.min(change.position, articles.length));
+            articles.splice(position, 0, snapshotArticle(change[side]));
+        });
+    
+    scheduleArchiveCache();
+}
+
+/**
+ * Add command to history
+ * @param {Object} command - Command { type, changes, timestamp }
+ */
+function addCommand(command) {
+    commandHistory.push(command);
+    redoHistory = [];
+    updateHistoryButtons();
+}
+
+/**
+ * Apply changes to the archive, save them and record them for undo
+ * The changes are rolled back if saving fails.
+ * @param {string} type - One of COMMAND_TYPES
+ * @param {Array<Object>} changes - Changes from createArticleChange
+ */
+async function commitArticleChanges(type, changes) {
+    if (changes.length === 0) return;
+    
+    applyArticleSnapshots(changes, 'after');
+    
+    try {
+        await persistArticleChanges(changes);
+    } catch (error) {
+        applyArticleSnapshots(changes, 'before');
+        applyFilters();
+        throw error;
+    }
+    
+    addCommand({ type, changes, timestamp: Date.now() });
+    applyFilters();
+}
+
+/**
+ * Undo the last command and save the result
+ */
+async function undoLastCommand() {
+    if (commandHistory.length === 0) {
+        showToast('Nothing to undo!');
+        return;
+    }
+    
+    const lastCommand = commandHistory.pop();
+    applyArticleSnapshots(lastCommand.changes, 'before');
+    
+    try {
+        await persistArticleChanges(lastCommand.changes);
+    } catch (error) {
+        console.error('Error saving undo:', error);
+        applyArticleSnapshots(lastCommand.changes, 'after');
+        commandHistory.push(lastCommand);
+        applyFilters();
+        alert('Error saving changes. Please try again.');
+        return;
+    }
+    
+    redoHistory.push(lastCommand);
+    updateHistoryButtons();
+    applyFilters();
+    showToast(`Undid ${COMMAND_LABELS[lastCommand.type]}`, 'Redo', redoLastCommand);
+}
+
+/**
+ * Redo the last undone command and save the result
+ */
+async function redoLastCommand() {
+    if (redoHistory.length === 0) {
+        showToast('Nothing to redo!');
+        return;
+    }
+    
+    const commandToRedo = redoHistory.pop();
+    applyArticleSnapshots(commandToRedo.changes, 'after');
+    
+    try {
+        await persistArticleChanges(commandToRedo.changes);
+    } catch (error) {
+        console.error('Error saving redo:', error);
+        applyArticleSnapshots(commandToRedo.changes, 'before');
+        redoHistory.push(commandToRedo);
+        applyFilters();
+        alert('Error saving changes. Please try again.');
+        return;
+    }
+    
+    commandHistory.push(commandToRedo);
+    updateHistoryButtons();
+    applyFilters();
+    showToast(`Redid ${COMMAND_LABELS[commandToRedo.type]}`, 'Undo', undoLastCommand);
+}
+
+/**
+ * Enable or disable the undo and redo buttons to match the history
+ */
+function updateHistoryButtons() {
+    const undoButton = elements.undoButton();
+    const redoButton = elements.redoButton();
+    
+    if (undoButton) {
+        const lastCommand = commandHistory[commandHistory.length - 1];
+        undoButton.disabled = !lastCommand;
+        undoButton.title = lastCommand ? `Undo ${COMMAND_LABELS[lastCommand.type]} (Ctrl+Z)` : 'Nothing to undo';
+    }
+    if (redoButton) {
+        const nextCommand = redoHistory[redoHistory.length - 1];
+        redoButton.disabled = !nextCommand;
+        redoButton.title = nextCommand ? `Redo ${COMMAND_LABELS[nextCommand.type]} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+}
+
+/**
+ * Create the undo and redo buttons in the toolbar
+ */
+function setupHistoryControls() {
+    const undoButton = document.createElement('button');
+    undoButton.id = 'undo-button';
+    undoButton.className = 'history-button';
+    undoButton.textContent = 'Undo';
+    undoButton.addEventListener('click', undoLastCommand);
+    
+    const redoButton = document.createElement('button');
+    redoButton.id = 'redo-button';
+    redoButton.className = 'history-button';
+    redoButton.textContent = 'Redo';
+    redoButton.addEventListener('click', redoLastCommand);
+    
+    const toolbar = getToolbar();
+    toolbar.appendChild(undoButton);
+    toolbar.appendChild(redoButton);
+    updateHistoryButtons();
+}
+
+/**
+ * Handle Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y outside text fields
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    
+    // Leave text fields their own native undo
+    const target = e.target;
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoLastCommand();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoLastCommand();
+    }
+}
+
+/**
+ * Format date for display
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {string} Formatted date string
+ */
+function formatDate(dateString) {
+    try {
+        // Read plain dates as local days so they don't shift across time zones
+        const date = parseISODate(dateString) || new Date(dateString);
+        return date.toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric'
+        });
+    } catch (error) {
+        console.warn('Invalid date:', dateString);
+        return dateString;
+    }
+}
+
+/**
+ * Create a tag input element
+ * @param {string} value - Initial value for the tag input
+ * @param {HTMLElement} container - Container to add the input to
+ * @param {Function} onInput - Callback for input changes
+ * @returns {HTMLElement} The created input element
+ */
+function createTagInput(value = '', container, onInput) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'tag-input';
+    input.value = value;
+    input.placeholder = 'Add tag...';
+    input.autocomplete = 'off';
+    
+    input.addEventListener('input', () => {
+        // Typing a comma finishes the tag, like pasting a list
+        if (input.value.includes(',')) {
+            splitTagInput(input, input.value, container, onInput);
+            return;
+        }
+        
+        if (onInput) onInput();
+        
+        // Auto-add new empty input if this one has content and is the last one
+        if (input.value.trim() && input === getLastTagInput(container)) {
+            createTagInput('', container, onInput);
+        }
+        
+        // Remove empty inputs (except the last one)
+        if (!input.value.trim() && input !== getLastTagInput(container)) {
+            hideTagSuggestions(container);
+            container.removeChild(input);
+            return;
+        }
+        
+        showTagSuggestions(input, container, onInput);
+    });
+    
+    input.addEventListener('paste', (e) => {
+        const text = (e.clipboardData || window.clipboardData).getData('text');
+        if (/[,\n]/.test(text)) {
+            e.preventDefault();
+            const before = input.value.slice(0, input.selectionStart);
+            const after = input.value.slice(input.selectionEnd);
+            splitTagInput(input, before + text + after, container, onInput);
+        }
+    });
+    
+    input.addEventListener('keydown', (e) => handleTagSuggestionKey(e, input, container, onInput));
+    input.addEventListener('focus', () => showTagSuggestions(input, container, onInput));
+    input.addEventListener('blur', () => {
+        // Tidy the tag once the user moves on; suggestions keep focus with mousedown
+        if (input.value.trim()) {
+            input.value = normalizeTag(input.value);
+        }
+        hideTagSuggestions(container);
+    });
+    
+    // Keep inputs ahead of the suggestion list
+    container.insertBefore(input, getTagSuggestionList(container));
+    return input;
+}
+
+/**
+ * Get the last tag input in a container, the one kept empty for new tags
+ * @param {HTMLElement} container - Container with tag inputs
+ * @returns {HTMLInputElement|undefined} The last input
+ */
+function getLastTagInput(container) {
+    const inputs = container.querySelectorAll('.tag-input');
+    return inputs[inputs.length - 1];
+}
+
+/**
+ * Spread a comma or newline separated list over tag inputs
+ * The first tag stays in the input, the rest get inputs of their own after it.
+ * @param {HTMLInputElement} input - Input the list was typed or pasted into
+ * @param {string} text - Text to split
+ * @param {HTMLElement} container - Container with tag inputs
+ * @param {Function} onInput - Callback for input changes
+ */
+function splitTagInput(input, text, container, onInput) {
+    const existing = getTagsFromContainer(container);
+    const tags = [...new Set(text.split(/[,\n]/).map(normalizeTag).filter(tag => tag))];
+    const [first = '', ...rest] = tags.filter(tag => tag === normalizeTag(input.value) || !existing.includes(tag));
+    
+    input.value = first;
+    let previous = input;
+    rest.forEach(tag => {
+        const tagInput = createTagInput(tag, container, onInput);
+        container.insertBefore(tagInput, previous.nextSibling);
+        previous = tagInput;
+    });
+    
+    if (getLastTagInput(container).value) {
+        createTagInput('', container, onInput);
+    }
+    hideTagSuggestions(container);
+    if (onInput) onInput();
+}
+
+/**
+ * Count how often each tag is used across the archive
+ * @returns {Array<string>} Tags, most used first
+ */
+function getTagsByFrequency() {
+    return countTop(articles.flatMap(article => article.tags || []), Infinity).map(([tag]) => tag);
+}
+
+/**
+ * Find existing tags that match what has been typed
+ * Tags starting with the text come first, then tags containing it, each by how often they're used.
+ * @param {string} text - Text typed so far
+ * @param {Array<string>} exclude - Tags already on the article
+ * @returns {Array<string>} Up to TAG_SUGGESTION_LIMIT tags
+ */
+function getTagSuggestions(text, exclude) {
+    const query = normalizeTag(text);
+    if (!query) return [];
+    
+    const tags = getTagsByFrequency().filter(tag => tag !== query && !exclude.includes(tag));
+    const prefixMatches = tags.filter(tag => tag.startsWith(query));
+    const otherMatches = tags.filter(tag => !tag.startsWith(query) && tag.includes(query.slice(1)));
+    return [...prefixMatches, ...otherMatches].slice(0, TAG_SUGGESTION_LIMIT);
+}
+
+/**
+ * Get the suggestion list for a tags container, creating it the first time
+ * @param {HTMLElement} container - Container with tag inputs
+ * @returns {HTMLElement} The list element
+ */
+function getTagSuggestionList(container) {
+    let list = container.querySelector('.tag-suggestions');
+    if (!list) {
+        list = document.createElement('ul');
+        list.className = 'tag-suggestions';
+        list.setAttribute('role', 'listbox');
+        list.hidden = true;
+        container.appendChild(list);
+    }
+    return list;
+}
+
+/**
+ * Show tags matching an input below the tag inputs
+ * @param {HTMLInputElement} input - Tag input being edited
+ * @param {HTMLElement} container - Container with tag inputs
+ * @param {Function} onInput - Callback for input changes
+ */
+function showTagSuggestions(input, container, onInput) {
+    const list = getTagSuggestionList(container);
+    const otherTags = getTagsFromContainer(container).filter(tag => tag !== normalizeTag(input.value));
+    const suggestions = getTagSuggestions(input.value, otherTags);
+    
+    list.innerHTML = '';
+    list.hidden = suggestions.length === 0;
+    
+    // Nothing is picked until an arrow key moves into the list, so Enter and Tab keep a new tag as typed
+    suggestions.forEach(tag => {
+        const item = document.createElement('li');
+        item.className = 'tag-suggestion';
+        item.setAttribute('role', 'option');
+        item.textContent = tag;
+        // mousedown fires before the input loses focus
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            acceptTagSuggestion(input, tag, container, onInput);
+        });
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Hide the suggestion list of a tags container
+ * @param {HTMLElement} container - Container with tag inputs
+ */
+function hideTagSuggestions(container) {
+    const list = container.querySelector('.tag-suggestions');
+    if (list) {
+        list.hidden = true;
+        list.innerHTML = '';
+    }
+}
+
+/**
+ * Put a suggested tag into an input and move on to the next empty input
+ * @param {HTMLInputElement} input - Tag input being edited
+ * @param {string} tag - Chosen tag
+ * @param {HTMLElement} container - Container with tag inputs
+ * @param {Function} onInput - Callback for input changes
+ */
+function acceptTagSuggestion(input, tag, container, onInput) {
+    input.value = tag;
+    hideTagSuggestions(container);
+    
+    if (input === getLastTagInput(container)) {
+        createTagInput('', container, onInput);
+    }
+    if (onInput) onInput();
+    getLastTagInput(container).focus();
+}
+
+/**
+ * Move through and pick suggestions with the arrow keys, Enter, Tab and Escape
+ * @param {KeyboardEvent} e - Keydown event on a tag input
+ * @param {HTMLInputElement} input - Tag input being edited
+ * @param {HTMLElement} container - Container with tag inputs
+ * @param {Function} onInput - Callback for input changes
+ */
+function handleTagSuggestionKey(e, input, container, onInput) {
+    const list = container.querySelector('.tag-suggestions');
+    const items = list && !list.hidden ? Array.from(list.children) : [];
+    if (items.length === 0) return;
+    
+    const activeIndex = items.findIndex(item => item.classList.contains('active'));
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        const next = activeIndex === -1
+            ? (step > 0 ? 0 : items.length - 1)
+            : (activeIndex + step + items.length) % items.length;
+        items.forEach((item, i) => item.classList.toggle('active', i === next));
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && activeIndex >= 0) {
+        e.preventDefault();
+        acceptTagSuggestion(input, items[activeIndex].textContent, container, onInput);
+    } else if (e.key === 'Escape') {
+        // Close the list without leaving edit mode
+        e.stopPropagation();
+        hideTagSuggestions(container);
+    }
+}
+
+/**
+ * Create an editor row for one highlight
+ * @param {Object} highlight - Highlight { quote, note, location }
+ * @param {HTMLElement} container - Highlights editor container
+ * @param {Function} onInput - Callback for input changes
+ * @returns {HTMLElement} The row element
+ */
+function createHighlightInput(highlight, container, onInput) {
+    const row = document.createElement('div');
+    row.className = 'highlight-input-row';
+    
+    const quoteInput = document.createElement('textarea');
+    quoteInput.className = 'highlight-quote-input';
+    quoteInput.placeholder = 'Quote...';
+    quoteInput.rows = 2;
+    quoteInput.value = highlight.quote;
+    
+    const noteInput = document.createElement('input');
+    noteInput.type = 'text';
+    noteInput.className = 'highlight-note-input';
+    noteInput.placeholder = 'Note (optional)';
+    noteInput.value = highlight.note;
+    
+    const locationInput = document.createElement('input');
+    locationInput.type = 'text';
+    locationInput.className = 'highlight-location-input';
+    locationInput.placeholder = 'Location, e.g. p. 12 or #section';
+    locationInput.value = highlight.location;
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'highlight-remove-button';
+    removeButton.textContent = '×';
+    removeButton.title = 'Remove highlight';
+    removeButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        row.remove();
+        if (onInput) onInput();
+    });
+    
+    [quoteInput, noteInput, locationInput].forEach(input => {
+        input.addEventListener('input', () => {
+            if (onInput) onInput();
+        });
+    });
+    
+    row.appendChild(quoteInput);
+    row.appendChild(noteInput);
+    row.appendChild(locationInput);
+    row.appendChild(removeButton);
+    
+    // Keep rows above the add button
+    container.insertBefore(row, container.querySelector('.highlight-add-button'));
+    return row;
+}
+
+/**
+ * Get all highlights from a highlights editor, skipping rows without a quote
+ * @param {HTMLElement} container - Highlights editor container
+ * @returns {Array<Object>} Highlights as { quote, note, location }
+ */
+function getHighlightsFromContainer(container) {
+    return Array.from(container.querySelectorAll('.highlight-input-row'))
+        .map(row => normalizeHighlight({
+            quote: row.querySelector('.highlight-quote-input').value,
+            note: row.querySelector('.highlight-note-input').value,
+            location: row.querySelector('.highlight-location-input').value
+        }))
+        .filter(highlight => highlight);
+}
+
+/**
+ * Set up the highlights editor for an article in edit mode
+ * @param {HTMLElement} container - Highlights editor container
+ * @param {Array<Object>} highlights - Current highlights for the article
+ * @param {Function} onInput - Callback for input changes
+ */
+function setupHighlightInputs(container, highlights, onInput) {
+    container.innerHTML = '';
+    
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'highlight-add-button';
+    addButton.textContent = '+ Add highlight';
+    addButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        createHighlightInput({ quote: '', note: '', location: '' }, container, onInput)
+            .querySelector('.highlight-quote-input')
+            .focus();
+    });
+    container.appendChild(addButton);
+    
+    highlights.forEach(highlight => createHighlightInput(highlight, container, onInput));
+}
+
+/**
+ * Get all tag values from a container, normalized and without duplicates
+ * @param {HTMLElement} container - Container with tag inputs
+ * @returns {Array<string>} Array of tag values
+ */
+function getTagsFromContainer(container) {
+    const inputs = container.querySelectorAll('.tag-input');
+    return [...new Set(Array.from(inputs)
+        .map(input => normalizeTag(input.value))
+        .filter(value => value))];
+}
+
+/**
+ * Set up tag inputs for an article in edit mode
+ * @param {HTMLElement} container - Tags container element
+ * @param {Array<string>} tags - Current tags for the article
+ * @param {Function} onInput - Callback for input changes
+ */
+function setupTagInputs(container, tags, onInput) {
+    // Clear existing inputs
+    container.innerHTML = '';
+    
+    // Add inputs for existing tags
+    tags.forEach(tag => {
+        createTagInput(tag, container, onInput);
+    });
+    
+    // Always have at least one empty input
+    createTagInput('', container, onInput);
+}
+
+/**
+ * Enter edit mode for a specific article
+ * @param {string} articleId - Id of the article to edit
+ * @param {HTMLElement} articleElement - The article DOM element
+ */
+function enterEditMode(articleId, articleElement) {
+    const article = findArticle(articleId);
+    if (!article) {
+        console.error('Unknown article id:', articleId);
+        return;
+    }
+    
+    articleElement.classList.add('editing');
+    
+    // Every listener below belongs to this edit session and is removed when it ends,
+    // so entering edit mode again doesn't stack a second set of handlers
+    endEditSession(articleElement);
+    const session = new AbortController();
+    editSessions.set(articleElement, session);
+    const { signal } = session;
+    const dateInput = articleElement.querySelector('.article-date-input');
+    const favoriteInput = articleElement.querySelector('.favorite-checkbox');
+    const urlInput = articleElement.querySelector('.article-url-input');
+    const titleInput = articleElement.querySelector('.article-title-input');
+    const reviewInput = articleElement.querySelector('.article-review-input');
+    const tagsContainer = articleElement.querySelector('.article-tags-container');
+    const saveButton = articleElement.querySelector('.save-button');
+    const archiveButton = articleElement.querySelector('.archive-button');
+    const deleteButton = articleElement.querySelector('.delete-button');
+    const metadataStatus = articleElement.querySelector('.article-metadata-status');
+    const statusSelect = articleElement.querySelector('.article-status-select');
+    const startedInput = articleElement.querySelector('.article-started-input');
+    const finishedInput = articleElement.querySelector('.article-finished-input');
+    const ratingContainer = articleElement.querySelector('.article-rating-input');
+    const highlightsContainer = articleElement.querySelector('.article-highlights-editor');
+    
+    // Determine if this is a new article (no title and URL)
+    const isNewArticle = !article.title && !article.url;
+    
+    // Archiving and deleting only make sense for saved articles
+    archiveButton.style.display = isNewArticle ? 'none' : '';
+    deleteButton.style.display = isNewArticle ? 'none' : '';
+    archiveButton.textContent = article.archived ? 'Restore' : 'Archive';
+    
+    // Set values
+    dateInput.value = article.date;
+    favoriteInput.checked = article.favorite;
+    urlInput.value = article.url || '';
+    titleInput.value = article.title;
+    reviewInput.value = article.review || '';
+    statusSelect.value = article.status || 'finished';
+    startedInput.value = article.started || '';
+    finishedInput.value = article.finished || '';
+    
+    // Always show URL input for both new and existing articles
+    urlInput.style.display = 'block';
+    
+    // Focus appropriate input
+    if (isNewArticle) {
+        urlInput.focus(); // Focus URL input for new articles
+    } else {
+        titleInput.focus(); // Focus title input for existing articles
+    }
+    
+    // Set up tag inputs
+    setupTagInputs(tagsContainer, article.tags || [], checkForChanges);
+    setupRatingInput(ratingContainer, article.rating || 0, checkForChanges);
+    setupHighlightInputs(highlightsContainer, article.highlights || [], checkForChanges);
+    
+    // Auto-resize textarea
+    titleInput.style.height = 'auto';
+    titleInput.style.height = titleInput.scrollHeight + 'px';
+    
+    // Track changes to show save button
+    let hasChanges = false;
+    
+    function checkForChanges() {
+        const titleChanged = titleInput.value.trim() !== article.title;
+        const dateChanged = dateInput.value !== article.date;
+        const favoriteChanged = favoriteInput.checked !== article.favorite;
+        const urlChanged = urlInput.value.trim() !== (article.url || '');
+        const reviewChanged = reviewInput.value.trim() !== (article.review || '');
+        const currentTags = getTagsFromContainer(tagsContainer);
+        const originalTags = article.tags || [];
+        const tagsChanged = JSON.stringify(currentTags.sort()) !== JSON.stringify(originalTags.sort());
+        const statusChanged = statusSelect.value !== (article.status || 'finished') ||
+            startedInput.value !== (article.started || '') ||
+            finishedInput.value !== (article.finished || '');
+        const ratingChanged = Number(ratingContainer.dataset.value) !== (article.rating || 0);
+        const highlightsChanged = !sameValue(getHighlightsFromContainer(highlightsContainer), article.highlights || []);
+        const anyChanged = titleChanged || dateChanged || favoriteChanged || urlChanged || reviewChanged ||
+            tagsChanged || statusChanged || ratingChanged || highlightsChanged;
+        
+        if ((anyChanged || isNewArticle) && !hasChanges) {
+            hasChanges = true;
+            saveButton.classList.add('show');
+        } else if (!anyChanged && !isNewArticle && hasChanges) {
+            hasChanges = false;
+            saveButton.classList.remove('show');
+        }
+    }
+    
+    titleInput.addEventListener('input', function() {
+        this.style.height = 'auto';
+        this.style.height = this.scrollHeight + 'px';
+        checkForChanges();
+    }, { signal });
+    
+    dateInput.addEventListener('input', checkForChanges, { signal });
+    favoriteInput.addEventListener('change', checkForChanges, { signal });
+    urlInput.addEventListener('input', checkForChanges, { signal });
+    reviewInput.addEventListener('input', checkForChanges, { signal });
+    startedInput.addEventListener('input', checkForChanges, { signal });
+    finishedInput.addEventListener('input', checkForChanges, { signal });
+    
+    // Fill in today's date when reading starts or ends, unless one is already set
+    statusSelect.addEventListener('change', () => {
+        const today = toISODate(new Date());
+        if (statusSelect.value === 'in-progress' && !startedInput.value) {
+            startedInput.value = today;
+        }
+        if ((statusSelect.value === 'finished' || statusSelect.value === 'abandoned') && !finishedInput.value) {
+            finishedInput.value = today;
+        }
+        checkForChanges();
+    }, { signal });
+    
+    // Metadata for the URL in the editor, saved with the other fields
+    let metadata = pickMetadata(article);
+    let metadataUrl = article.url || '';
+    let prefilledTitle = null;
+    let metadataController = null;
+    metadataStatus.textContent = formatMetadata(metadata);
+    
+    async function fetchMetadataForUrl() {
+        const url = normalizeUrl(urlInput.value);
+        if (!/^https?:\/\/[^/]/.test(url) || getDuplicateKey(url) === getDuplicateKey(metadataUrl)) return;
+        
+        // Fields fetched for another URL no longer apply
+        cancelMetadataFetch();
+        const controller = new AbortController();
+        metadataController = controller;
+        metadata = pickMetadata(null);
+        metadataUrl = url;
+        metadataStatus.textContent = 'Fetching details…';
+        
+        try {
+            const result = await fetchArticleMetadata(url, controller.signal);
+            if (controller.signal.aborted) return;
+            
+            metadata = pickMetadata(result);
+            metadataStatus.textContent = formatMetadata(metadata);
+            
+            // Fill the title unless the user has typed their own
+            const currentTitle = titleInput.value.trim();
+            if (result.title && (!currentTitle || currentTitle === prefilledTitle)) {
+                titleInput.value = result.title;
+                prefilledTitle = result.title;
+                titleInput.style.height = 'auto';
+                titleInput.style.height = titleInput.scrollHeight + 'px';
+            }
+            checkForChanges();
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            metadataStatus.textContent = error.offline ? 'Details unavailable offline' : 'Could not fetch details for this URL';
+            if (!error.offline) {
+                console.warn('Could not fetch metadata:', error);
+            }
+        } finally {
+            if (metadataController === controller) {
+                metadataController = null;
+            }
+        }
+    }
+    
+    // Stop a fetch that is still running; its URL is fetched again if it changes once more
+    function cancelMetadataFetch() {
+        if (!metadataController) return;
+        metadataController.abort();
+        metadataController = null;
+        metadataUrl = '';
+        metadataStatus.textContent = '';
+    }
+    
+    // Fetch once the URL is committed (blur or Enter), not on every keystroke
+    urlInput.addEventListener('change', fetchMetadataForUrl, { signal });
+    
+    // Save functionality
+    saveButton.addEventListener('click', async () => {
+        if (!hasChanges && !isNewArticle) return;
+        
+        // Save right away rather than wait for a slow page; the article is saved without its details
+        cancelMetadataFetch();
+        saveButton.disabled = true;
+        try {
+            const currentTags = getTagsFromContainer(tagsContainer);
+            const extraFields = {
+                ...metadata,
+                status: statusSelect.value,
+                started: startedInput.value,
+                finished: finishedInput.value,
+                rating: Number(ratingContainer.dataset.value),
+                highlights: getHighlightsFromContainer(highlightsContainer)
+            };
+            let saved;
+            
+            if (isNewArticle) {
+                saved = await saveNewArticle(articleId, titleInput.value.trim(), urlInput.value.trim(), dateInput.value, favoriteInput.checked, reviewInput.value.trim(), currentTags, extraFields);
+            } else {
+                // For existing articles, update the saveArticleChanges call to include URL
+                saved = await saveArticleChangesWithUrl(articleId, titleInput.value.trim(), urlInput.value.trim(), dateInput.value, favoriteInput.checked, reviewInput.value.trim(), currentTags, extraFields);
+            }
+            
+            // Stay in the editor when the save was refused so the input isn't lost
+            if (saved) {
+                exitEditMode(articleElement);
+            }
+        } finally {
+            saveButton.disabled = false;
+        }
+    }, { signal });
+    
+    archiveButton.addEventListener('click', async () => {
+        exitEditMode(articleElement);
+        await setArticleArchived(articleId, !article.archived);
+    }, { signal });
+    
+    deleteButton.addEventListener('click', async () => {
+        if (!confirmDeleteArticle(article)) return;
+        
+        exitEditMode(articleElement);
+        await deleteArticle(articleId);
+    }, { signal });
+    
+    // Exit edit mode on Escape key
+    function handleKeydown(e) {
+        if (e.key === 'Escape') {
+            // For new articles, remove them if escape is pressed
+            if (isNewArticle) {
+                discardNewArticle(articleId, articleElement);
+            } else {
+                exitEditMode(articleElement);
+            }
+            document.removeEventListener('keydown', handleKeydown);
+        }
+    }
+    document.addEventListener('keydown', handleKeydown, { signal });
+    
+    // Exit edit mode when clicking outside
+    function handleClickOutside(e) {
+        if (!articleElement.contains(e.target)) {
+            // For new articles, remove them if clicking outside
+            if (isNewArticle) {
+                discardNewArticle(articleId, articleElement);
+            } else {
+                exitEditMode(articleElement);
+            }
+            document.removeEventListener('click', handleClickOutside);
+        }
+    }
+    setTimeout(() => {
+        document.addEventListener('click', handleClickOutside, { signal });
+    }, 0);
+}
+
+/**
+ * Remove the listeners an article's editor added
+ * @param {HTMLElement} articleElement - The article DOM element
+ */
+function endEditSession(articleElement) {
+    const session = editSessions.get(articleElement);
+    if (session) {
+        session.abort();
+        editSessions.delete(articleElement);
+    }
+}
+
+/**
+ * Exit edit mode for an article
+ * @param {HTMLElement} articleElement - The article DOM element
+ */
+function exitEditMode(articleElement) {
+    endEditSession(articleElement);
+    articleElement.classList.remove('editing');
+    const saveButton = articleElement.querySelector('.save-button');
+    saveButton.classList.remove('show');
+}
+
+/**
+ * Canonicalize a URL for saving: trim it, drop tracking parameters and normalize the host
+ * @param {string} url - URL as entered or imported
+ * @returns {string} Canonical URL, or the trimmed input if it isn't a valid URL
+ */
+function normalizeUrl(url) {
+    const trimmed = url.trim();
+    let parsed;
+    try {
+        parsed = new URL(trimmed);
+    } catch (error) {
+        return trimmed;
+    }
+    
+    // URL already lowercases the host and drops default ports
+    parsed.hostname = HOST_ALIASES[parsed.hostname] || parsed.hostname.replace(/\.$/, '');
+    
+    Array.from(parsed.searchParams.keys())
+        .filter(name => TRACKING_PARAMS.test(name))
+        .forEach(name => parsed.searchParams.delete(name));
+    
+    // x.com share links carry their own tracking parameters
+    if (parsed.hostname === 'x.com') {
+        parsed.searchParams.delete('s');
+        parsed.searchParams.delete('t');
+    }
+    
+    // Text fragments point at a highlighted passage, not a different page
+    if (parsed.hash.startsWith('#:~:')) {
+        parsed.hash = '';
+    }
+    
+    return parsed.href.replace(/\?(#|$)/, '$1');
+}
+
+/**
+ * Reduce a URL to a key for spotting duplicates
+ * Ignores the scheme, www and trailing slashes on top of normalizeUrl. Only the host is
+ * case-insensitive; paths and query strings can differ by case on many servers.
+ * @param {string} url - URL
+ * @returns {string} Comparison key
+ */
+function getDuplicateKey(url) {
+    const normalized = normalizeUrl(url);
+    try {
+        const parsed = new URL(normalized);
+        const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        return `${host}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+    } catch (error) {
+        return normalized;
+    }
+}
+
+/**
+ * Find a saved article with the same URL
+ * @param {string} url - URL to look for
+ * @param {string} [ignoreId] - Id of the article being edited
+ * @returns {Object|undefined} The existing article
+ */
+function findDuplicateArticle(url, ignoreId) {
+    const key = getDuplicateKey(url);
+    return articles.find(article => article.id !== ignoreId && isSavedArticle(article) && getDuplicateKey(article.url) === key);
+}
+
+/**
+ * Show an article in the list, switching view and clearing filters if they hide it
+ * @param {string} articleId - Id of the article
+ */
+function jumpToArticle(articleId) {
+    const article = findArticle(articleId);
+    if (!article) return;
+    
+    // The queue can show the article too, so only leave it when it has to
+    let view = article.archived ? 'archive' : 'list';
+    if (view === 'list' && currentView === 'queue' && QUEUE_STATUSES.includes(article.status)) {
+        view = 'queue';
+    }
+    if (view === 'list' && currentView === 'timeline') {
+        view = 'timeline';
+    }
+    if (currentView !== view) {
+        setView(view);
+    }
+    if (!getFilteredArticles().includes(article)) {
+        currentFilters = [];
+        dateRange = { from: '', to: '' };
+        statusFilters.clear();
+        updateStatusFilterChips();
+        updateFilterDisplay();
+        const searchInput = elements.search();
+        if (searchInput) searchInput.value = '';
+        setSearchQuery('');
+    }
+    
+    const articleElement = elements.container().querySelector(`[data-id="${articleId}"]`);
+    if (articleElement) {
+        articleElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        articleElement.classList.add('jump-highlight');
+        setTimeout(() => articleElement.classList.remove('jump-highlight'), 2000);
+    }
+}
+
+/**
+ * Warn when a URL is already in the archive and offer to go to the existing entry
+ * @param {string} articleId - Id of the article being saved
+ * @param {string} url - Normalized URL being saved
+ * @returns {boolean} True if the URL is a duplicate and the save should stop
+ */
+function warnAboutDuplicate(articleId, url) {
+    const duplicate = findDuplicateArticle(url, articleId);
+    if (!duplicate) return false;
+    
+    const message = `"${duplicate.title}" (${duplicate.date}) is already in the archive with this URL.\n\n` +
+        'Press OK to go to the existing entry, or Cancel to keep editing.';
+    if (confirm(message)) {
+        const articleElement = elements.container().querySelector(`[data-id="${articleId}"]`);
+        if (articleElement && !isSavedArticle(findArticle(articleId))) {
+            discardNewArticle(articleId, articleElement);
+        } else if (articleElement) {
+            exitEditMode(articleElement);
+        }
+        jumpToArticle(duplicate.id);
+    }
+    return true;
+}
+
+/**
+ * Save article changes
+ * @param {string} articleId - Id of the article
+ * @param {string} newTitle - New title for the article
+ * @param {string} newDate - New date for the article (YYYY-MM-DD format)
+ * @param {boolean} newFavorite - New favorite status for the article
+ * @param {string} newReview - New review text for the article
+ * @param {Array<string>} newTags - New tags for the article
+ */
+async function saveArticleChanges(articleId, newTitle, newDate, newFavorite, newReview, newTags) {
+    const article = findArticle(articleId);
+    if (!article) {
+        console.error('Unknown article id:', articleId);
+        return;
+    }
+    
+    // Validate date format
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(newDate)) {
+        alert('Please enter a valid date in YYYY-MM-DD format');
+        return;
+    }
+    
+    try {
+        await commitArticleChanges(COMMAND_TYPES.EDIT, [createArticleChange(articleId, {
+            title: newTitle,
+            date: newDate,
+            favorite: newFavorite,
+            review: newReview,
+            tags: newTags || []
+        })]);
+        
+        console.log('Article saved successfully');
+    } catch (error) {
+        console.error('Error saving article:', error);
+        // Show error to user
+        alert('Error saving changes. Please try again.');
+    }
+}
+
+/**
+ * Save article changes including URL
+ * @param {string} articleId - Id of the article
+ * @param {string} newTitle - New title for the article
+ * @param {string} newUrl - New URL for the article
+ * @param {string} newDate - New date for the article (YYYY-MM-DD format)
+ * @param {boolean} newFavorite - New favorite status for the article
+ * @param {string} newReview - New review text for the article
+ * @param {Array<string>} newTags - New tags for the article
+ * @param {Object} [extraFields] - Other fields to store, such as fetched metadata and reading status
+ * @returns {boolean} True if the article was saved
+ */
+async function saveArticleChangesWithUrl(articleId, newTitle, newUrl, newDate, newFavorite, newReview, newTags, extraFields = {}) {
+    const article = findArticle(articleId);
+    if (!article) {
+        console.error('Unknown article id:', articleId);
+        return false;
+    }
+    
+    // Validate date format
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(newDate)) {
+        alert('Please enter a valid date in YYYY-MM-DD format');
+        return false;
+    }
+    
+    // Validate URL format
+    try {
+        new URL(newUrl);
+    } catch (error) {
+        alert('Please enter a valid URL');
+        return false;
+    }
+    
+    // Only warn when the URL changes, so existing duplicates can still be edited
+    const url = normalizeUrl(newUrl);
+    if (getDuplicateKey(url) !== getDuplicateKey(article.url) && warnAboutDuplicate(articleId, url)) {
+        return false;
+    }
+    
+    try {
+        await commitArticleChanges(COMMAND_TYPES.EDIT, [createArticleChange(articleId, {
+            title: newTitle,
+            url,
+            date: newDate,
+            favorite: newFavorite,
+            review: newReview,
+            tags: newTags || [],
+            ...extraFields
+        })]);
+        
+        console.log('Article saved successfully');
+        return true;
+    } catch (error) {
+        console.error('Error saving article:', error);
+        // Show error to user
+        alert('Error saving changes. Please try again.');
+        return false;
+    }
+}
+
+/**
+ * Create a new empty article and enter edit mode
+ */
+function createNewArticle() {
+    // New articles belong to the main list
+    if (currentView !== 'list') {
+        setView('list');
+    }
+    
+    // Create a new empty article object
+    const newArticle = {
+        title: '',
+        url: '',
+        date: new Date().toISOString().split('T')[0], // Today's date in YYYY-MM-DD format
+        favorite: false,
+        review: '',
+        tags: [],
+        archived: false,
+        status: 'finished',
+        started: '',
+        finished: '',
+        rating: 0,
+        highlights: [],
+        ...pickMetadata(null),
+        domain: '',
+        id: generateArticleId()
+    };
+    
+    // Add to beginning of articles array
+    articles.unshift(newArticle);
+    
+    // Create and add the article element at the top
+    const articleElement = createArticleElement(newArticle);
+    const container = elements.container();
+    container.insertBefore(articleElement, container.firstChild);
+    
+    // Update article count
+    elements.count().textContent = `${articles.length} articles`;
+    
+    // Enter edit mode immediately
+    enterEditMode(newArticle.id, articleElement);
+    
+    // Scroll to the new article
+    articleElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Drop a new article that was never saved
+ * @param {string} articleId - Id of the unsaved article
+ * @param {HTMLElement} articleElement - The article DOM element
+ */
+function discardNewArticle(articleId, articleElement) {
+    articles = articles.filter(article => article.id !== articleId);
+    endEditSession(articleElement);
+    articleElement.remove();
+    elements.count().textContent = `${articles.length} articles`;
+}
+
+/**
+ * Save a new article (different from editing existing)
+ * @param {string} articleId - Id of the article
+ * @param {string} title - Title for the article
+ * @param {string} url - URL for the article
+ * @param {string} date - Date for the article
+ * @param {boolean} favorite - Favorite status
+ * @param {string} review - Review text
+ * @param {Array<string>} tags - Tags array
+ * @param {Object} [extraFields] - Other fields to store, such as fetched metadata and reading status
+ * @returns {boolean} True if the article was saved
+ */
+async function saveNewArticle(articleId, title, url, date, favorite, review, tags, extraFields = {}) {
+    const article = findArticle(articleId);
+    if (!article) {
+        console.error('Unknown article id:', articleId);
+        return false;
+    }
+    
+    // Validate required fields
+    if (!title.trim() || !url.trim()) {
+        alert('Title and URL are required for new articles');
+        return false;
+    }
+    
+    // Validate URL format
+    try {
+        new URL(url);
+    } catch (error) {
+        alert('Please enter a valid URL');
+        return false;
+    }
+    
+    // Validate date format
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        alert('Please enter a valid date in YYYY-MM-DD format');
+        return false;
+    }
+    
+    const normalizedUrl = normalizeUrl(url);
+    if (warnAboutDuplicate(articleId, normalizedUrl)) {
+        return false;
+    }
+    
+    // Record the article as not existing before, so undo removes it again
+    const change = createArticleChange(articleId, { title, url: normalizedUrl, date, favorite, review, tags: tags || [], ...extraFields });
+    change.before = null;
+    
+    try {
+        await commitArticleChanges(COMMAND_TYPES.CREATE, [change]);
+        
+        console.log('New article saved successfully');
+        return true;
+    } catch (error) {
+        console.error('Error saving new article:', error);
+        // Show error to user
+        alert('Error saving new article. Please try again.');
+        return false;
+    }
+}
+
+/**
+ * Archive or restore an article
+ * Archived articles stay in articles.csv but only show up in the archive view
+ * @param {string} articleId - Id of the article
+ * @param {boolean} archived - New archived state
+ */
+async function setArticleArchived(articleId, archived) {
+    const article = findArticle(articleId);
+    if (!article) {
+        console.error('Unknown article id:', articleId);
+        return;
+    }
+    
+    try {
+        await commitArticleChanges(COMMAND_TYPES.ARCHIVE, [createArticleChange(articleId, { archived })]);
+        showToast(archived ? `Archived "${article.title}"` : `Restored "${article.title}"`, 'Undo', undoLastCommand);
+    } catch (error) {
+        console.error('Error archiving article:', error);
+        alert('Error saving changes. Please try again.');
+    }
+}
+
+/**
+ * Ask before deleting an article
+ * @param {Object} article - Article to delete
+ * @returns {boolean} True if the user confirmed
+ */
+function confirmDeleteArticle(article) {
+    return confirm(`Delete "${article.title}"? This removes it from articles.csv.`);
+}
+
+/**
+ * Delete an article from the archive
+ * @param {string} articleId - Id of the article
+ */
+async function deleteArticle(articleId) {
+    const article = findArticle(articleId);
+    if (!article) {
+        console.error('Unknown article id:', articleId);
+        return;
+    }
+    
+    try {
+        await commitArticleChanges(COMMAND_TYPES.DELETE, [createArticleChange(articleId, null)]);
+        showToast(`Deleted "${article.title}"`, 'Undo', undoLastCommand);
+    } catch (error) {
+        console.error('Error deleting article:', error);
+        alert('Error deleting article. Please try again.');
+    }
+}
+
+/**
+ * Toggle the favorite flag on an article
+ * @param {string} articleId - Id of the article
+ */
+async function toggleFavorite(articleId) {
+    const article = findArticle(articleId);
+    if (!article) {
+        console.error('Unknown article id:', articleId);
+        return;
+    }
+    
+    try {
+        await commitArticleChanges(COMMAND_TYPES.FAVORITE, [createArticleChange(articleId, { favorite: !article.favorite })]);
+    } catch (error) {
+        console.error('Error saving favorite:', error);
+        alert('Error saving changes. Please try again.');
+    }
+}
+
+/**
+ * Add and remove tags on several articles as one undoable change
+ * @param {Array<string>} articleIds - Ids of the articles to update
+ * @param {Object} tagChanges - { add, remove } arrays of tags
+ */
+async function updateTagsForArticles(articleIds, { add = [], remove = [] }) {
+    const description = add.length > 0 ? `Added ${add.join(' ')}` : `Removed ${remove.join(' ')}`;
+    
+    await updateArticles(articleIds, article => {
+        const tags = article.tags.filter(tag => !remove.includes(tag));
+        add.forEach(tag => {
+            if (!tags.includes(tag)) tags.push(tag);
+        });
+        return { tags };
+    }, description, COMMAND_TYPES.BULK_TAGS);
+}
+
+/**
+ * Change the same fields on several articles as one undoable change, saved in one request
+ * @param {Array<string>} articleIds - Ids of the articles to update
+ * @param {Function} getFields - Returns the fields to change for an article
+ * @param {string} description - What was done, for the toast, e.g. 'Marked as favorite'
+ * @param {string} [type] - One of COMMAND_TYPES
+ */
+async function updateArticles(articleIds, getFields, description, type = COMMAND_TYPES.BULK_EDIT) {
+    const changes = articleIds
+        .map(findArticle)
+        .filter(article => article)
+        .map(article => createArticleChange(article.id, getFields(article)))
+        .filter(change => !sameValue(change.before, change.after));
+    
+    if (changes.length === 0) {
+        showToast('Nothing to change');
+        return;
+    }
+    
+    try {
+        await commitArticleChanges(type, changes);
+        showToast(`${description}: ${changes.length} ${changes.length === 1 ? 'article' : 'articles'}`, 'Undo', undoLastCommand);
+    } catch (error) {
+        console.error('Error saving batch changes:', error);
+        alert('Error saving changes. Please try again.');
+    }
+}
+
+/**
+ * Delete several articles as one undoable change
+ * @param {Array<string>} articleIds - Ids of the articles to delete
+ */
+async function deleteArticles(articleIds) {
+    const changes = articleIds.filter(findArticle).map(articleId => createArticleChange(articleId, null));
+    if (changes.length === 0) return;
+    
+    try {
+        await commitArticleChanges(COMMAND_TYPES.DELETE, changes);
+        articleIds.forEach(articleId => selectedArticleIds.delete(articleId));
+        updateBulkActions();
+        showToast(`Deleted ${changes.length} ${changes.length === 1 ? 'article' : 'articles'}`, 'Undo', undoLastCommand);
+    } catch (error) {
+        console.error('Error deleting articles:', error);
+        alert('Error deleting articles. Please try again.');
+    }
+}
+
+/**
+ * Get the selected articles that still exist, in archive order
+ * @returns {Array<string>} Article ids
+ */
+function getSelectedIds() {
+    return articles.filter(article => selectedArticleIds.has(article.id)).map(article => article.id);
+}
+
+/**
+ * Turn multi-select mode on or off
+ * Leaving the mode clears the selection.
+ * @param {boolean} enabled - Whether cards show checkboxes
+ */
+function setSelectionMode(enabled) {
+    selectionMode = enabled;
+    if (!enabled) {
+        selectedArticleIds.clear();
+        lastSelectedId = null;
+    }
+    
+    const selectButton = document.getElementById('select-mode-button');
+    if (selectButton) {
+        selectButton.classList.toggle('active', enabled);
+        selectButton.textContent = enabled ? 'Done' : 'Select';
+    }
+    
+    applyFilters();
+}
+
+/**
+ * Select or deselect an article, or a range of shown articles when shift is held
+ * @param {string} articleId - Id of the clicked article
+ * @param {boolean} selected - Whether it should now be selected
+ * @param {boolean} extendRange - Apply to everything between the last clicked card and this one
+ */
+function selectArticle(articleId, selected, extendRange) {
+    let ids = [articleId];
+    
+    if (extendRange && lastSelectedId) {
+        // Ranges follow the cards on screen, whatever the sort and grouping
+        const shownIds = Array.from(elements.container().querySelectorAll('.article-item')).map(element => element.dataset.id);
+        const from = shownIds.indexOf(lastSelectedId);
+        const to = shownIds.indexOf(articleId);
+        if (from !== -1 && to !== -1) {
+            ids = shownIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+        }
+    }
+    
+    ids.forEach(id => (selected ? selectedArticleIds.add(id) : selectedArticleIds.delete(id)));
+    lastSelectedId = articleId;
+    updateSelectionDisplay();
+}
+
+/**
+ * Select every article matching the current filters and search
+ */
+function selectAllFiltered() {
+    getFilteredArticles().filter(isSavedArticle).forEach(article => selectedArticleIds.add(article.id));
+    updateSelectionDisplay();
+}
+
+/**
+ * Sync the card checkboxes and the batch action bar with the selection
+ */
+function updateSelectionDisplay() {
+    elements.container().querySelectorAll('.article-item').forEach(element => {
+        const selected = selectedArticleIds.has(element.dataset.id);
+        element.classList.toggle('selected', selected);
+        const checkbox = element.querySelector('.article-select-checkbox');
+        if (checkbox) checkbox.checked = selected;
+    });
+    updateBulkActions();
+}
+
+/**
+ * Show the batch action bar while selecting and update its count
+ */
+function updateBulkActions() {
+    const bar = elements.bulkActions();
+    if (!bar) return;
+    
+    const count = getSelectedIds().length;
+    bar.hidden = !selectionMode;
+    bar.querySelector('.bulk-count').textContent = `${count} selected`;
+    bar.querySelectorAll('.bulk-action').forEach(control => {
+        control.disabled = count === 0;
+    });
+}
+
+/**
+ * Ask for tags and add them to or remove them from the selected articles
+ * @param {boolean} remove - Remove the tags instead of adding them
+ */
+function promptBulkTags(remove) {
+    const input = prompt(remove ? 'Remove tags (comma separated):' : 'Add tags (comma separated):');
+    const tags = importTags(input || '');
+    if (tags.length === 0) return;
+    
+    updateTagsForArticles(getSelectedIds(), remove ? { remove: tags } : { add: tags });
+}
+
+/**
+ * Create the select button and the batch action bar
+ */
+function setupBulkSelection() {
+    const toolbar = getToolbar();
+    
+    const selectButton = document.createElement('button');
+    selectButton.id = 'select-mode-button';
+    selectButton.className = 'select-mode-button';
+    selectButton.textContent = 'Select';
+    selectButton.title = 'Select several articles to change at once';
+    selectButton.addEventListener('click', () => setSelectionMode(!selectionMode));
+    toolbar.appendChild(selectButton);
+    
+    const bar = document.createElement('div');
+    bar.id = 'bulk-actions';
+    bar.className = 'bulk-actions';
+    bar.hidden = true;
+    
+    const count = document.createElement('span');
+    count.className = 'bulk-count';
+    bar.appendChild(count);
+    
+    const addButton = (label, onClick, isAction = true) => {
+        const button = document.createElement('button');
+        button.className = isAction ? 'bulk-action' : 'bulk-select';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        bar.appendChild(button);
+        return button;
+    };
+    
+    addButton('Select all', selectAllFiltered, false).title = 'Select every article matching the filters and search';
+    addButton('Select none', () => {
+        selectedArticleIds.clear();
+        updateSelectionDisplay();
+    }, false);
+    addButton('Add tags', () => promptBulkTags(false));
+    addButton('Remove tags', () => promptBulkTags(true));
+    addButton('Favorite', () => updateArticles(getSelectedIds(), () => ({ favorite: true }), 'Marked as favorite'));
+    addButton('Unfavorite', () => updateArticles(getSelectedIds(), () => ({ favorite: false }), 'Removed from favorites'));
+    
+    const dateInput = document.createElement('input');
+    dateInput.type = 'date';
+    dateInput.className = 'bulk-action bulk-date-input';
+    dateInput.title = 'Date for the selected articles';
+    bar.appendChild(dateInput);
+    
+    // Applied with a button, since the date input fires change while the year is still being typed
+    const setDate = () => {
+        const date = dateInput.value;
+        if (!isValidISODate(date)) {
+            alert('Please enter a valid date in YYYY-MM-DD format');
+            return;
+        }
+        dateInput.value = '';
+        updateArticles(getSelectedIds(), () => ({ date }), `Set date to ${formatDate(date)}`);
+    };
+    const setDateButton = addButton('Set date', setDate);
+    setDateButton.title = 'Set the date of the selected articles';
+    dateInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !setDateButton.disabled) {
+            e.preventDefault();
+            setDate();
+        }
+    });
+    
+    const statusSelect = createSelect('bulk-action bulk-status-select', { '': 'Set status…', ...STATUS_OPTIONS }, '', status => {
+        statusSelect.value = '';
+        if (!status) return;
+        
+        // Same as the editor: fill in today's date when reading starts or ends
+        const today = toISODate(new Date());
+        updateArticles(getSelectedIds(), article => ({
+            status,
+            started: status === 'in-progress' && !article.started ? today : article.started,
+            finished: (status === 'finished' || status === 'abandoned') && !article.finished ? today : article.finished
+        }), `Marked as ${STATUS_OPTIONS[status].toLowerCase()}`);
+    });
+    bar.appendChild(statusSelect);
+    
+    const exportSelect = createSelect('bulk-action bulk-export-select', { '': 'Export…', ...EXPORT_FORMATS }, '', format => {
+        exportSelect.value = '';
+        if (format) {
+            exportArticles(format, getSelectedIds().map(findArticle));
+        }
+    });
+    bar.appendChild(exportSelect);
+    
+    addButton('Delete', () => {
+        const ids = getSelectedIds();
+        if (confirm(`Delete ${ids.length} ${ids.length === 1 ? 'article' : 'articles'}?`)) {
+            deleteArticles(ids);
+        }
+    });
+    
+    toolbar.parentNode.insertBefore(bar, toolbar.nextSibling);
+    updateBulkActions();
+}
+
+/**
+ * Rename a tag on every article, merging it into the new name if that tag is already in use
+ * Child tags move with their parent, so renaming #design also renames #design/typography.
+ * @param {string} from - Tag to rename
+ * @param {string} to - New tag name
+ */
+async function renameTag(from, to) {
+    const rename = tag => (isTagWithin(tag, from) ? to + tag.slice(from.length) : tag);
+    const changes = articles
+        .filter(article => (article.tags || []).some(tag => isTagWithin(tag, from)))
+        .map(article => createArticleChange(article.id, { tags: [...new Set(article.tags.map(rename))] }));
+    
+    try {
+        await commitArticleChanges(COMMAND_TYPES.BULK_TAGS, changes);
+    } catch (error) {
+        console.error('Error renaming tag:', error);
+        alert('Error saving changes. Please try again.');
+        return;
+    }
+    
+    replaceTagInFilters(rename);
+    showToast(`Renamed ${from} to ${to} on ${changes.length} articles`, changes.length > 0 ? 'Undo' : undefined, undoLastCommand);
+}
+
+/**
+ * Remove a tag and its child tags from every article
+ * @param {string} tag - Tag to delete
+ */
+async function deleteTag(tag) {
+    const changes = articles
+        .filter(article => (article.tags || []).some(articleTag => isTagWithin(articleTag, tag)))
+        .map(article => createArticleChange(article.id, {
+            tags: article.tags.filter(articleTag => !isTagWithin(articleTag, tag))
+        }));
+    
+    try {
+        await commitArticleChanges(COMMAND_TYPES.BULK_TAGS, changes);
+    } catch (error) {
+        console.error('Error deleting tag:', error);
+        alert('Error saving changes. Please try again.');
+        return;
+    }
+    
+    replaceTagInFilters(filterTag => (isTagWithin(filterTag, tag) ? null : filterTag));
+    showToast(`Deleted ${tag} from ${changes.length} articles`, changes.length > 0 ? 'Undo' : undefined, undoLastCommand);
+}
+
+/**
+ * Update the current filters and saved presets after tags were renamed or deleted
+ * @param {Function} replace - Maps an old tag to its new name, or to null to drop it
+ */
+function replaceTagInFilters(replace) {
+    const update = filters => filters.reduce((updated, filter) => {
+        const tag = replace(filter.tag);
+        if (tag && !updated.some(existing => existing.tag === tag)) {
+            updated.push({ ...filter, tag });
+        }
+        return updated;
+    }, []);
+    
+    currentFilters = update(currentFilters);
+    
+    const presets = loadFilterPresets();
+    Object.values(presets).forEach(preset => {
+        preset.filters = update(preset.filters || []);
+    });
+    storeFilterPresets(presets);
+    
+    updateFilterDisplay();
+    applyFilters();
+}
+
+/**
+ * Normalize a tag to the archive's style: lowercase, # prefix, underscores instead of spaces
+ * Each level of a parent/child tag is normalized on its own. Commas become underscores too,
+ * since articles.csv keeps an article's tags in one comma separated field.
+ * @param {string} tag - Tag as typed or imported
+ * @returns {string} Normalized tag, or '' if nothing is left
+ */
+function normalizeTag(tag) {
+    const name = tag.split('/')
+        .map(part => part.trim().replace(/^#+/, '').trim().replace(/[\s,]+/g, '_').toLowerCase())
+        .filter(part => part)
+        .join('/');
+    return name ? `#${name}` : '';
+}
+
+/**
+ * Turn an imported date into YYYY-MM-DD
+ * Accepts Unix timestamps in seconds or milliseconds and anything Date can parse.
+ * @param {string|number} value - Date from an export file
+ * @returns {string} Date in YYYY-MM-DD format, today if there is no date, or the value
+ *     itself if it can't be read so the import preview can flag it
+ */
+function importDate(value) {
+    const text = String(value || '').trim();
+    let date;
+    
+    if (!text) {
+        date = new Date();
+    } else if (/^\d+$/.test(text)) {
+        const number = Number(text);
+        date = new Date(number < 1e12 ? number * 1000 : number);
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        return text;
+    } else {
+        date = new Date(text);
+    }
+    
+    return isNaN(date.getTime()) ? text : toISODate(date);
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function toISODate(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Read a YYYY-MM-DD string as a local date
+ * @param {string} text - Date string
+ * @returns {Date|null} Date, or null if it can't be read
+ */
+function parseISODate(text) {
+    const [year, month, day] = (text || '').split('-').map(Number);
+    return year && month && day ? new Date(year, month - 1, day) : null;
+}
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} text - Date string
+ * @returns {boolean} True if the server will accept it
+ */
+function isValidISODate(text) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text || '')) return false;
+    const date = parseISODate(text);
+    return Boolean(date) && toISODate(date) === text;
+}
+
+/**
+ * Read CSV text into objects keyed by lowercase header name
+ * @param {string} csvText - Raw CSV content
+ * @returns {Array<Object>} One object per data row
+ */
+function csvToObjects(csvText) {
+    const [header, ...records] = parseCSVRecords(csvText);
+    if (!header) return [];
+    
+    const names = header.fields.map(name => name.trim().toLowerCase());
+    return records
+        .filter(record => !record.error)
+        .map(record => Object.fromEntries(names.map((name, i) => [name, record.fields[i] || ''])));
+}
+
+/**
+ * Split a tag list from an export file
+ * @param {string|Array<string>} value - Tags as a list or a delimited string
+ * @param {RegExp} [separator] - Delimiter for string values
+ * @returns {Array<string>} Normalized tags
+ */
+function importTags(value, separator = /,/) {
+    let tags = value || [];
+    
+    if (typeof tags === 'string') {
+        // Some exports store tags as a JSON array
+        try {
+            tags = /^\s*\[/.test(tags) ? JSON.parse(tags) : tags.split(separator);
+        } catch (error) {
+            tags = tags.split(separator);
+        }
+    }
+    
+    return [...new Set(tags.map(tag => normalizeTag(String(tag))).filter(tag => tag))];
+}
+
+/**
+ * Read links out of a Netscape bookmark file or a Pocket HTML export
+ * @param {string} html - File content
+ * @returns {Array<Object>} Imported items
+ */
+function parseBookmarkHTML(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    
+    return Array.from(doc.querySelectorAll('a[href]')).map(link => {
+        // Netscape files put the description in a <dd> right after the link's <dt>
+        const dt = link.closest('dt');
+        const description = dt && dt.nextElementSibling && dt.nextElementSibling.tagName === 'DD'
+            ? dt.nextElementSibling.textContent.trim()
+            : '';
+        
+        // Pocket lists links under "Unread" and "Read Archive" headings
+        const list = link.closest('ul');
+        const heading = list && list.previousElementSibling;
+        const unread = Boolean(heading && /^\s*unread\s*$/i.test(heading.textContent));
+        
+        return {
+            title: link.textContent.trim(),
+            url: link.getAttribute('href'),
+            date: importDate(link.getAttribute('add_date') || link.getAttribute('time_added')),
+            favorite: false,
+            review: description,
+            tags: importTags(link.getAttribute('tags')),
+            status: unread ? 'queued' : 'finished'
+        };
+    });
+}
+
+/**
+ * Work out which service an export file came from and read its items
+ * @param {string} fileName - Name of the uploaded file
+ * @param {string} text - File content
+ * @returns {Object} { format, items } where format is a key of IMPORT_FORMATS
+ */
+function parseImportFile(fileName, text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const trimmed = content.trim();
+    
+    if (/\.json$/i.test(fileName) || /^[[{]/.test(trimmed)) {
+        const data = JSON.parse(trimmed);
+        const posts = Array.isArray(data) ? data : data.posts || [];
+        return {
+            format: 'pinboard',
+            items: posts.map(post => ({
+                title: post.description || post.href,
+                url: post.href,
+                date: importDate(post.time),
+                favorite: false,
+                review: post.extended || '',
+                tags: importTags(post.tags, /\s+/),
+                status: post.toread === 'yes' ? 'queued' : 'finished'
+            }))
+        };
+    }
+    
+    if (/\.html?$/i.test(fileName) || /^<!DOCTYPE|^<html|^<dl/i.test(trimmed)) {
+        const isPocket = /<title>\s*Pocket Export\s*<\/title>/i.test(content) || /time_added=/i.test(content);
+        return { format: isPocket ? 'pocketHTML' : 'bookmarks', items: parseBookmarkHTML(content) };
+    }
+    
+    const rows = csvToObjects(content);
+    const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+    const has = (...names) => names.every(name => columns.includes(name));
+    
+    if (has('id', 'title', 'url', 'date')) {
+        return { format: 'archive', items: parseCSV(content) };
+    }
+    if (has('url', 'title', 'selection', 'folder')) {
+        return {
+            format: 'instapaper',
+            items: rows.map(row => ({
+                title: row.title || row.url,
+                url: row.url,
+                date: importDate(row.timestamp),
+                favorite: row.folder === 'Starred',
+                review: row.selection,
+                // Folders other than the built-in ones are how Instapaper users group articles
+                tags: importTags([
+                    ...importTags(row.tags),
+                    ...(['Unread', 'Archive', 'Starred'].includes(row.folder) ? [] : [row.folder])
+                ]),
+                status: row.folder === 'Unread' ? 'queued' : 'finished'
+            }))
+        };
+    }
+    if (has('url', 'title') && (has('excerpt') || has('cover') || has('note'))) {
+        return {
+            format: 'raindrop',
+            items: rows.map(row => ({
+                title: row.title || row.url,
+                url: row.url,
+                date: importDate(row.created),
+                favorite: row.favorite === 'true',
+                review: row.note || row.excerpt || '',
+                tags: importTags(row.tags)
+            }))
+        };
+    }
+    if (has('url', 'time_added')) {
+        return {
+            format: 'pocketCSV',
+            items: rows.map(row => ({
+                title: row.title || row.url,
+                url: row.url,
+                date: importDate(row.time_added),
+                favorite: false,
+                review: '',
+                tags: importTags(row.tags, /[|,]/),
+                status: row.status === 'unread' ? 'queued' : 'finished'
+            }))
+        };
+    }
+    
+    throw new Error('This file is not a recognised export. Supported: Pocket, Instapaper, Raindrop, Pinboard and browser bookmark exports.');
+}
+
+/**
+ * Validate imported items and flag duplicates of existing articles or of each other
+ * @param {Array<Object>} items - Items from parseImportFile
+ * @returns {Array<Object>} Items with a usable URL, with duplicateOf set to the matching
+ *     title, if any, and invalidDates listing date fields the server would refuse
+ */
+function prepareImportItems(items) {
+    const existing = new Map(articles.filter(isSavedArticle).map(article => [getDuplicateKey(article.url), article.title]));
+    const seen = new Map();
+    
+    return items
+        .filter(item => {
+            try {
+                return ['http:', 'https:'].includes(new URL(item.url.trim()).protocol);
+            } catch (error) {
+                return false;
+            }
+        })
+        .map(item => {
+            const url = normalizeUrl(item.url);
+            const title = item.title || url;
+            const key = getDuplicateKey(url);
+            const duplicateOf = existing.get(key) || seen.get(key) || null;
+            if (!seen.has(key)) {
+                seen.set(key, title);
+            }
+            const invalidDates = ['date', 'started', 'finished']
+                .filter(field => (field === 'date' || item[field]) && !isValidISODate(item[field]));
+            return { ...item, url, title, duplicateOf, invalidDates };
+        });
+}
+
+/**
+ * Show the imported items for review before adding them to the archive
+ * @param {string} format - Key of IMPORT_FORMATS
+ * @param {Array<Object>} items - Items from prepareImportItems
+ * @param {number} invalidCount - Items left out for lacking a usable URL
+ */
+function showImportPreview(format, items, invalidCount) {
+    let modal = elements.importModal();
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'import-modal';
+        modal.className = 'import-modal';
+        document.body.appendChild(modal);
+    }
+    modal.innerHTML = '';
+    
+    const content = document.createElement('div');
+    content.className = 'import-modal-content';
+    
+    const heading = document.createElement('h3');
+    heading.textContent = `Import from ${IMPORT_FORMATS[format]}`;
+    content.appendChild(heading);
+    
+    const duplicateCount = items.filter(item => item.duplicateOf).length;
+    const invalidDateCount = items.filter(item => item.invalidDates.length > 0).length;
+    const summary = document.createElement('p');
+    summary.className = 'import-summary';
+    summary.textContent = [
+        `${items.length} articles found`,
+        duplicateCount > 0 ? `${duplicateCount} already in the archive or repeated (unticked)` : '',
+        invalidDateCount > 0 ? `${invalidDateCount} with an invalid date (can't be imported)` : '',
+        invalidCount > 0 ? `${invalidCount} skipped without a valid URL` : ''
+    ].filter(part => part).join(' · ');
+    content.appendChild(summary);
+    
+    const list = document.createElement('div');
+    list.className = 'import-list';
+    
+    const selected = new Set();
+    const importButton = document.createElement('button');
+    importButton.className = 'import-confirm-button';
+    const updateImportButton = () => {
+        importButton.textContent = `Import ${selected.size} articles`;
+        importButton.disabled = selected.size === 0;
+    };
+    
+    items.forEach((item, index) => {
+        const hasInvalidDate = item.invalidDates.length > 0;
+        const row = document.createElement('label');
+        row.className = hasInvalidDate ? 'import-item invalid' : item.duplicateOf ? 'import-item duplicate' : 'import-item';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !item.duplicateOf && !hasInvalidDate;
+        checkbox.disabled = hasInvalidDate;
+        if (checkbox.checked) selected.add(index);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                selected.add(index);
+            } else {
+                selected.delete(index);
+            }
+            updateImportButton();
+        });
+        
+        const details = document.createElement('div');
+        details.className = 'import-item-details';
+        
+        const title = document.createElement('div');
+        title.className = 'import-item-title';
+        title.textContent = item.title;
+        
+        const meta = document.createElement('div');
+        meta.className = 'import-item-meta';
+        meta.textContent = [item.date, item.url, item.favorite ? 'favorite' : '', item.tags.join(' ')]
+            .filter(part => part)
+            .join(' · ');
+        
+        details.appendChild(title);
+        details.appendChild(meta);
+        
+        if (item.duplicateOf) {
+            const duplicate = document.createElement('div');
+            duplicate.className = 'import-item-duplicate';
+            duplicate.textContent = `Duplicate of "${item.duplicateOf}"`;
+            details.appendChild(duplicate);
+        }
+        
+        if (hasInvalidDate) {
+            const invalid = document.createElement('div');
+            invalid.className = 'import-item-invalid';
+            invalid.textContent = item.invalidDates
+                .map(field => `Invalid ${field === 'date' ? 'date' : `${field} date`} "${item[field] || ''}"`)
+                .join(' · ') + ', expected YYYY-MM-DD';
+            details.appendChild(invalid);
+        }
+        
+        row.appendChild(checkbox);
+        row.appendChild(details);
+        list.appendChild(row);
+    });
+    content.appendChild(list);
+    
+    updateImportButton();
+    importButton.addEventListener('click', async () => {
+        importButton.disabled = true;
+        // On failure the preview stays open so the import can be retried
+        if (await importArticles(items.filter((item, index) => selected.has(index)))) {
+            modal.style.display = 'none';
+        } else {
+            updateImportButton();
+        }
+    });
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'import-cancel-button';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => {
+        modal.style.display = 'none';
+    });
+    
+    content.appendChild(importButton);
+    content.appendChild(cancelButton);
+    modal.appendChild(content);
+    modal.style.display = 'block';
+}
+
+/**
+ * Add imported items to the top of the archive as one undoable change
+ * @param {Array<Object>} items - Items chosen in the import preview
+ * @returns {boolean} True if the articles were imported
+ */
+async function importArticles(items) {
+    const invalid = items.find(item => item.invalidDates.length > 0);
+    if (invalid) {
+        alert(`"${invalid.title}" has an invalid date. Untick it or fix the date in the file.`);
+        return false;
+    }
+    
+    const takenIds = new Set(articles.map(article => article.id));
+    const changes = items.map((item, position) => {
+        const id = generateArticleId(takenIds);
+        takenIds.add(id);
+        
+        const article = {
+            id,
+            title: item.title,
+            url: item.url,
+            date: item.date,
+            favorite: Boolean(item.favorite),
+            review: item.review || '',
+            tags: item.tags || [],
+            archived: false,
+            status: item.status in STATUS_OPTIONS ? item.status : 'finished',
+            started: item.started || '',
+            finished: item.finished || '',
+            rating: item.rating || 0,
+            highlights: (item.highlights || []).map(normalizeHighlight).filter(highlight => highlight),
+            ...pickMetadata(item),
+            domain: new URL(item.url).hostname.replace('www.', '')
+        };
+        return { id, before: null, after: article, position };
+    });
+    
+    // Imported articles land in the main list
+    if (currentView !== 'list') {
+        setView('list');
+    }
+    
+    try {
+        await commitArticleChanges(COMMAND_TYPES.IMPORT, changes);
+        showToast(`Imported ${changes.length} articles`, 'Undo', undoLastCommand);
+        return true;
+    } catch (error) {
+        console.error('Error importing articles:', error);
+        alert(`Error importing articles: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Read an uploaded export file and show the import preview
+ * @param {File} file - The chosen file
+ */
+async function handleImportFile(file) {
+    try {
+        const { format, items } = parseImportFile(file.name, await file.text());
+        const prepared = prepareImportItems(items);
+        
+        if (prepared.length === 0) {
+            alert('No articles with a valid URL were found in this file.');
+            return;
+        }
+        
+        showImportPreview(format, prepared, items.length - prepared.length);
+    } catch (error) {
+        console.error('Error reading import file:', error);
+        alert(`Could not import this file: ${error.message}`);
+    }
+}
+
+/**
+ * Create the import button in the toolbar
+ */
+function setupImport() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.html,.htm,.csv,.json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) {
+            handleImportFile(fileInput.files[0]);
+        }
+        fileInput.value = '';
+    });
+    
+    const importButton = document.createElement('button');
+    importButton.id = 'import-button';
+    importButton.className = 'import-button';
+    importButton.textContent = 'Import';
+    importButton.title = 'Import from Pocket, Instapaper, Raindrop, Pinboard or browser bookmarks';
+    importButton.addEventListener('click', () => fileInput.click());
+    
+    const toolbar = getToolbar();
+    toolbar.appendChild(fileInput);
+    toolbar.appendChild(importButton);
+}
+
+/**
+ * Escape text for use in XML or HTML element content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text for a braced BibTeX field
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeBibTeX(text) {
+    return String(text || '')
+        .replace(/[\\{}]/g, '')
+        .replace(/([&%$#_])/g, '\\$1');
+}
+
+/**
+ * Convert a YYYY-MM-DD date to Unix seconds for bookmark files
+ * @param {string} date - Date string
+ * @returns {number} Seconds since the epoch, 0 if the date can't be read
+ */
+function toUnixSeconds(date) {
+    const time = new Date(`${date}T00:00:00`).getTime();
+    return isNaN(time) ? 0 : Math.floor(time / 1000);
+}
+
+/**
+ * Build a Markdown reading log grouped by month
+ * @param {Array<Object>} list - Articles to export
+ * @returns {string} Markdown document
+ */
+function articlesToMarkdown(list) {
+    const lines = ['# Reading log'];
+    let currentMonth = null;
+    
+    [...list].sort((a, b) => b.date.localeCompare(a.date)).forEach(article => {
+        const month = formatMonth(article.date);
+        if (month !== currentMonth) {
+            lines.push('', `## ${month}`, '');
+            currentMonth = month;
+        }
+        
+        const title = article.title.replace(/([\[\]])/g, '\\$1');
+        // Spaces, parentheses and angle brackets would end the link destination early
+        const url = article.url.replace(/[\s()<>]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+        const details = [article.favorite ? '★' : '', article.tags.join(' ')].filter(part => part).join(' ');
+        lines.push(`- [${title}](${url})${details ? ` — ${details}` : ''}`);
+        
+        if (article.review) {
+            article.review.split('\n').forEach(line => lines.push(`  > ${line}`));
+        }
+    });
+    
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Build an OPML outline of article links
+ * @param {Array<Object>} list - Articles to export
+ * @returns {string} OPML document
+ */
+function articlesToOPML(list) {
+    const outlines = list.map(article => {
+        const created = new Date(`${article.date}T00:00:00`);
+        const attributes = [
+            `text="${escapeXML(article.title)}"`,
+            'type="link"',
+            `url="${escapeXML(article.url)}"`,
+            isNaN(created.getTime()) ? '' : `created="${created.toUTCString()}"`,
+            article.tags.length > 0 ? `category="${escapeXML(article.tags.join(','))}"` : '',
+            // Attribute values would fold newlines into spaces, so encode them
+            article.review ? `description="${escapeXML(article.review).replace(/\n/g, '&#10;')}"` : ''
+        ].filter(attribute => attribute);
+        return `    <outline ${attributes.join(' ')}/>`;
+    });
+    
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '  <head>',
+        '    <title>Reading archive</title>',
+        `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+        '  </head>',
+        '  <body>',
+        ...outlines,
+        '  </body>',
+        '</opml>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Build BibTeX @online entries with unique citation keys
+ * @param {Array<Object>} list - Articles to export
+ * @returns {string} BibTeX document
+ */
+function articlesToBibTeX(list) {
+    const usedKeys = new Set();
+    
+    return list.map(article => {
+        // Keys look like "nytimes2024design"; a letter suffix keeps them unique
+        const site = (article.domain || 'web').split('.').slice(-2, -1)[0] || 'web';
+        const word = (article.title.toLowerCase().match(/[a-z]{4,}/) || [''])[0];
+        const baseKey = `${site}${article.date.slice(0, 4)}${word}`.replace(/[^a-z0-9]/gi, '');
+        let key = baseKey;
+        for (let suffix = 0; usedKeys.has(key); suffix++) {
+            key = baseKey + String.fromCharCode(97 + (suffix % 26)).repeat(Math.floor(suffix / 26) + 1);
+        }
+        usedKeys.add(key);
+        
+        const fields = [
+            ['title', article.title],
+            ['url', article.url],
+            ['date', article.date],
+            ['urldate', article.date],
+            ['organization', article.domain],
+            ['keywords', article.tags.map(tag => tag.replace(/^#/, '')).join(', ')],
+            ['note', article.review]
+        ].filter(([, value]) => value);
+        
+        const body = fields.map(([name, value]) => `  ${name} = {${name === 'url' ? value : escapeBibTeX(value)}}`);
+        return `@online{${key},\n${body.join(',\n')}\n}`;
+    }).join('\n\n') + '\n';
+}
+
+/**
+ * Build CSL-JSON items for citation managers
+ * @param {Array<Object>} list - Articles to export
+ * @returns {string} CSL-JSON document
+ */
+function articlesToCSL(list) {
+    const items = list.map(article => {
+        const dateParts = article.date.split('-').map(Number).filter(part => part);
+        const item = {
+            id: article.id,
+            type: 'webpage',
+            title: article.title,
+            URL: article.url,
+            'container-title': article.domain,
+            issued: { 'date-parts': [dateParts] },
+            accessed: { 'date-parts': [dateParts] }
+        };
+        if (article.tags.length > 0) item.keyword = article.tags.map(tag => tag.replace(/^#/, '')).join(', ');
+        if (article.review) item.note = article.review;
+        return item;
+    });
+    return JSON.stringify(items, null, 2);
+}
+
+/**
+ * Build a Netscape bookmark file that browsers and read-later services can import
+ * @param {Array<Object>} list - Articles to export
+ * @returns {string} Bookmark HTML
+ */
+function articlesToBookmarks(list) {
+    const entries = list.map(article => {
+        const tags = article.tags.map(tag => tag.replace(/^#/, '')).join(',');
+        const link = `    <DT><A HREF="${escapeXML(article.url)}" ADD_DATE="${toUnixSeconds(article.date)}"` +
+            `${tags ? ` TAGS="${escapeXML(tags)}"` : ''}>${escapeXML(article.title)}</A>`;
+        return article.review ? `${link}\n    <DD>${escapeXML(article.review)}` : link;
+    });
+    
+    return [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Reading archive</H1>',
+        '<DL><p>',
+        ...entries,
+        '</DL><p>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Produce an export document in the given format
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Array<Object>} list - Articles to export
+ * @returns {Object} { content, extension, type }
+ */
+function buildExport(format, list) {
+    switch (format) {
+        case 'json':
+            return {
+                content: JSON.stringify({
+                    exported: new Date().toISOString(),
+                    articles: list.map(article => ({ id: article.id, ...articleToApi(article) }))
+                }, null, 2),
+                extension: 'json',
+                type: 'application/json'
+            };
+        case 'markdown':
+            return { content: articlesToMarkdown(list), extension: 'md', type: 'text/markdown' };
+        case 'opml':
+            return { content: articlesToOPML(list), extension: 'opml', type: 'text/x-opml' };
+        case 'bibtex':
+            return { content: articlesToBibTeX(list), extension: 'bib', type: 'application/x-bibtex' };
+        case 'csl':
+            return { content: articlesToCSL(list), extension: 'csl.json', type: 'application/vnd.citationstyles.csl+json' };
+        case 'bookmarks':
+            return { content: articlesToBookmarks(list), extension: 'html', type: 'text/html' };
+        case 'csv':
+            return { content: articlesToCSV(list), extension: 'csv', type: 'text/csv' };
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+/**
+ * Download the articles currently shown, respecting filters, search and view
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Array<Object>} [list] - Articles to export instead, such as a selection
+ */
+function exportArticles(format, list = getFilteredArticles().filter(isSavedArticle)) {
+    if (list.length === 0) {
+        showToast('No articles to export');
+        return;
+    }
+    
+    try {
+        const { content, extension, type } = buildExport(format, list);
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
+        const link = document.createElement('a');
+        link.download = `reading-archive-${toISODate(new Date())}.${extension}`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        // Browsers start the download after click() returns, so keep the URL alive a while
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        
+        showToast(`Exported ${list.length} articles as ${EXPORT_FORMATS[format]}`);
+    } catch (error) {
+        console.error('Error exporting articles:', error);
+        alert(`Error exporting articles: ${error.message}`);
+    }
+}
+
+/**
+ * Create the export menu in the toolbar
+ */
+function setupExport() {
+    const exportSelect = createSelect('export-select', { '': 'Export…', ...EXPORT_FORMATS }, '', format => {
+        // Reset so the same format can be chosen again
+        exportSelect.value = '';
+        if (format) {
+            exportArticles(format);
+        }
+    });
+    exportSelect.title = 'Export the articles currently shown';
+    
+    getToolbar().appendChild(exportSelect);
+}
+
+/**
+ * Point the feed link and the page's feed discovery tags at the current tag
+ * With exactly one included tag the links follow only that tag, otherwise the whole list.
+ */
+function updateFeedLinks() {
+    const includedTags = currentFilters.filter(filter => !filter.exclude).map(filter => filter.tag);
+    const tag = includedTags.length === 1 ? includedTags[0] : null;
+    const query = tag ? `?tag=${encodeURIComponent(tag.replace(/^#/, ''))}` : '';
+    const title = tag ? `Reading Archive: ${tag}` : 'Reading Archive';
+    
+    Object.entries(FEED_TYPES).forEach(([type, path]) => {
+        let link = document.head.querySelector(`link[rel="alternate"][type="${type}"]`);
+        if (!link) {
+            link = document.createElement('link');
+            link.rel = 'alternate';
+            link.type = type;
+            document.head.appendChild(link);
+        }
+        link.href = path + query;
+        link.title = title;
+    });
+    
+    const feedLink = document.getElementById('feed-link');
+    if (feedLink) {
+        feedLink.href = FEED_TYPES['application/atom+xml'] + query;
+        feedLink.textContent = tag ? `Feed: ${tag}` : 'Feed';
+        feedLink.title = `Subscribe to ${tag ? `articles tagged ${tag}` : 'the reading list'}`;
+    }
+}
+
+/**
+ * Create the feed link in the toolbar
+ */
+function setupFeedLink() {
+    const feedLink = document.createElement('a');
+    feedLink.id = 'feed-link';
+    feedLink.className = 'feed-link';
+    feedLink.target = '_blank';
+    feedLink.rel = 'noopener';
+    
+    getToolbar().appendChild(feedLink);
+    updateFeedLinks();
+}
+
+/**
+ * Show a short-lived message at the bottom of the page, with an optional action button
+ * @param {string} message - Message to show
+ * @param {string} [actionLabel] - Label for the action button
+ * @param {Function} [onAction] - Called when the action button is clicked
+ */
+function showToast(message, actionLabel, onAction) {
+    let toast = elements.toast();
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.id = 'toast';
+        toast.className = 'toast';
+        document.body.appendChild(toast);
+    }
+    
+    clearTimeout(toastTimeout);
+    toast.innerHTML = '';
+    
+    const messageElement = document.createElement('span');
+    messageElement.className = 'toast-message';
+    messageElement.textContent = message;
+    toast.appendChild(messageElement);
+    
+    if (actionLabel && onAction) {
+        const actionButton = document.createElement('button');
+        actionButton.className = 'toast-action';
+        actionButton.textContent = actionLabel;
+        actionButton.addEventListener('click', () => {
+            hideToast();
+            onAction();
+        });
+        toast.appendChild(actionButton);
+    }
+    
+    toast.classList.add('show');
+    toastTimeout = setTimeout(hideToast, 6000);
+}
+
+/**
+ * Hide the toast message
+ */
+function hideToast() {
+    const toast = elements.toast();
+    if (toast) {
+        toast.classList.remove('show');
+    }
+}
+
+/**
+ * Fetch and load articles from the server
+ * Falls back to the copy cached on this device when the server can't be reached, and
+ * re-applies changes that were queued offline on top of what the server returns.
+ */
+async function loadArticles() {
+    const loadingElement = elements.loading();
+    const errorElement = elements.error();
+    
+    try {
+        const cached = await loadCachedArchive();
+        let data;
+        
+        try {
+            const response = await fetchArchiveAPI('/api/articles');
+            
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            data = await response.json();
+        } catch (error) {
+            if (!error.offline || !cached) {
+                throw error;
+            }
+            
+            articles = cached.articles;
+            articleVersions = cached.versions;
+            syncedArticles = cached.synced;
+            pendingArticleIds = cached.queue;
+            rejectedArticles = cached.rejected;
+            
+            loadingElement.style.display = 'none';
+            applyFilters();
+            showToast('Offline: showing the copy saved on this device');
+            return;
+        }
+        
+        articles = data.articles.map(articleFromApi);
+        articleVersions = new Map(data.articles.map(article => [article.id, article.version]));
+        syncedArticles = new Map(articles.map(article => [article.id, snapshotArticle(article)]));
+        
+        reportSkippedRows(data.skipped || []);
+        
+        // Changes queued offline, and refused ones not yet fixed or discarded, win over the
+        // server copy. Their base versions come from the cache so the sync can still detect
+        // conflicting edits.
+        if (cached && (cached.queue.size > 0 || cached.rejected.size > 0)) {
+            pendingArticleIds = cached.queue;
+            rejectedArticles = cached.rejected;
+            [...pendingArticleIds, ...rejectedArticles.keys()].forEach(id => {
+                const local = cached.articles.find(article => article.id === id) || null;
+                const position = articles.findIndex(article => article.id === id);
+                
+                if (!local && position !== -1) {
+                    articles.splice(position, 1);
+                } else if (local && position !== -1) {
+                    articles[position] = local;
+                } else if (local) {
+                    articles.unshift(local);
+                }
+                
+                if (cached.versions.has(id)) {
+                    articleVersions.set(id, cached.versions.get(id));
+                    syncedArticles.set(id, cached.synced.get(id));
+                } else {
+                    articleVersions.delete(id);
+                    syncedArticles.delete(id);
+                }
+            });
+        }
+        
+        loadingElement.style.display = 'none';
+        applyFilters();
+        cacheArchive();
+        retryPendingSync();
+        
+    } catch (error) {
+        console.error('Error loading articles:', error);
+        showError(`Error loading articles: ${error.message}`);
+    }
+}
+
+/**
+ * Tell the user which rows of articles.csv could not be read
+ * The rows stay in the file untouched; a notice above the list names each line and why
+ * it was skipped, so it can be fixed by hand.
+ * @param {Array<Object>} skippedRows - { line, reason } for every skipped row
+ */
+function reportSkippedRows(skippedRows) {
+    const existingNotice = document.getElementById('skipped-rows-notice');
+    if (existingNotice) existingNotice.remove();
+    if (skippedRows.length === 0) return;
+    
+    const notice = document.createElement('details');
+    notice.id = 'skipped-rows-notice';
+    notice.className = 'skipped-rows-notice';
+    
+    const count = skippedRows.length;
+    const summary = document.createElement('summary');
+    summary.textContent = `${count} ${count === 1 ? 'row' : 'rows'} of articles.csv could not be read and ${count === 1 ? 'is' : 'are'} not shown`;
+    notice.appendChild(summary);
+    
+    const list = document.createElement('ul');
+    skippedRows.forEach(({ line, reason }) => {
+        console.warn(`Skipped articles.csv line ${line}: ${reason}`);
+        const item = document.createElement('li');
+        item.textContent = `Line ${line}: ${reason}`;
+        list.appendChild(item);
+    });
+    notice.appendChild(list);
+    
+    const container = elements.container();
+    container.parentNode.insertBefore(notice, container);
+}
+
+/**
+ * Display error message
+ * @param {string} message - Error message to display
+ */
+function showError(message) {
+    const loadingElement = elements.loading();
+    const errorElement = elements.error();
+    
+    loadingElement.style.display = 'none';
+    errorElement.style.display = 'block';
+    errorElement.textContent = message;
+}
+
+/**
+ * Find the filter chip for a tag
+ * @param {string} tag - Tag to look up
+ * @returns {Object|undefined} Filter chip { tag, exclude }
+ */
+function findTagFilter(tag) {
+    return currentFilters.find(filter => filter.tag === tag);
+}
+
+/**
+ * Add a tag to the current filters
+ * @param {string} tag - Tag to add to filters
+ * @param {boolean} [exclude=false] - Hide articles with this tag instead of requiring it
+ */
+function addTagFilter(tag, exclude = false) {
+    if (!findTagFilter(tag)) {
+        currentFilters.push({ tag, exclude });
+        updateFilterDisplay();
+        applyFilters();
+    }
+}
+
+/**
+ * Remove a tag from the current filters
+ * @param {string} tag - Tag to remove from filters
+ */
+function removeTagFilter(tag) {
+    const index = currentFilters.findIndex(filter => filter.tag === tag);
+    if (index > -1) {
+        currentFilters.splice(index, 1);
+        updateFilterDisplay();
+        applyFilters();
+    }
+}
+
+/**
+ * Switch a filter chip between include and exclude
+ * @param {string} tag - Tag whose filter to toggle
+ */
+function toggleTagFilterExclude(tag) {
+    const filter = findTagFilter(tag);
+    if (filter) {
+        filter.exclude = !filter.exclude;
+        updateFilterDisplay();
+        applyFilters();
+    }
+}
+
+/**
+ * Set whether articles need all or any of the included tags
+ * @param {string} mode - 'all' or 'any'
+ */
+function setFilterMatchMode(mode) {
+    filterMatchMode = mode === 'any' ? 'any' : 'all';
+    updateFilterDisplay();
+    applyFilters();
+}
+
+/**
+ * Clear all current filters
+ */
+function clearAllFilters() {
+    currentFilters = [];
+    dateRange = { from: '', to: '' };
+    updateFilterDisplay();
+    applyFilters();
+}
+
+/**
+ * Limit the list to articles dated within a range
+ * @param {string} from - First date (YYYY-MM-DD), or '' for no lower bound
+ * @param {string} to - Last date (YYYY-MM-DD), or '' for no upper bound
+ */
+function setDateRange(from, to) {
+    // Accept the bounds in either order
+    dateRange = from && to && from > to ? { from: to, to: from } : { from, to };
+    updateFilterDisplay();
+    applyFilters();
+}
+
+/**
+ * Work out the dates a quick range covers
+ * Weeks start on Monday, like the stats dashboard.
+ * @param {string} preset - Key of DATE_RANGE_PRESETS
+ * @param {Date} [today] - Day to count from
+ * @returns {Object} Range { from, to } as YYYY-MM-DD strings
+ */
+function getPresetDateRange(preset, today = new Date()) {
+    const year = today.getFullYear();
+    const month = today.getMonth();
+    const weekStart = getWeekStart(today);
+    
+    const ranges = {
+        'this-week': [weekStart, addDays(weekStart, 6)],
+        'last-week': [addDays(weekStart, -7), addDays(weekStart, -1)],
+        'this-month': [new Date(year, month, 1), new Date(year, month + 1, 0)],
+        'last-month': [new Date(year, month - 1, 1), new Date(year, month, 0)],
+        'last-30-days': [addDays(today, -29), today],
+        'this-year': [new Date(year, 0, 1), new Date(year, 11, 31)],
+        'last-year': [new Date(year - 1, 0, 1), new Date(year - 1, 11, 31)]
+    };
+    
+    if (!ranges[preset]) return { from: '', to: '' };
+    const [from, to] = ranges[preset];
+    return { from: toISODate(from), to: toISODate(to) };
+}
+
+/**
+ * Create the date range picker and quick ranges in the toolbar
+ */
+function setupDateRangeControls() {
+    const container = document.createElement('div');
+    container.className = 'date-range-controls';
+    
+    const presetSelect = createSelect('date-range-preset', DATE_RANGE_PRESETS, '', preset => {
+        const { from, to } = getPresetDateRange(preset);
+        setDateRange(from, to);
+    });
+    presetSelect.title = 'Show articles from a period';
+    
+    const fromInput = document.createElement('input');
+    fromInput.type = 'date';
+    fromInput.className = 'date-range-from';
+    fromInput.title = 'Show articles from this date';
+    
+    const toInput = document.createElement('input');
+    toInput.type = 'date';
+    toInput.className = 'date-range-to';
+    toInput.title = 'Show articles up to this date';
+    
+    [fromInput, toInput].forEach(input => {
+        input.addEventListener('change', () => setDateRange(fromInput.value, toInput.value));
+    });
+    
+    container.appendChild(presetSelect);
+    container.appendChild(fromInput);
+    container.appendChild(toInput);
+    getToolbar().appendChild(container);
+    
+    updateDateRangeControls();
+}
+
+/**
+ * Show the current date range in the toolbar picker
+ */
+function updateDateRangeControls() {
+    const fromInput = document.querySelector('.date-range-from');
+    const toInput = document.querySelector('.date-range-to');
+    const presetSelect = document.querySelector('.date-range-preset');
+    if (!fromInput || !toInput || !presetSelect) return;
+    
+    fromInput.value = dateRange.from;
+    toInput.value = dateRange.to;
+    
+    // Name the quick range when the dates match one, e.g. after picking it
+    presetSelect.value = Object.keys(DATE_RANGE_PRESETS).find(preset => {
+        const range = getPresetDateRange(preset);
+        return range.from === dateRange.from && range.to === dateRange.to;
+    }) || '';
+}
+
+/**
+ * Describe the current date range for the filter bar
+ * @returns {string} Label such as "Mar 1, 2024 – Mar 31, 2024"
+ */
+function formatDateRange() {
+    const { from, to } = dateRange;
+    if (from && to) {
+        return from === to ? formatDate(from) : `${formatDate(from)} – ${formatDate(to)}`;
+    }
+    return from ? `From ${formatDate(from)}` : `Until ${formatDate(to)}`;
+}
+
+/**
+ * Read saved filter presets from localStorage
+ * @returns {Object} Presets keyed by name, each { filters, matchMode }
+ */
+function loadFilterPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(FILTER_PRESETS_KEY)) || {};
+    } catch (error) {
+        console.warn('Could not read filter presets:', error);
+        return {};
+    }
+}
+
+/**
+ * Write filter presets to localStorage
+ * @param {Object} presets - Presets keyed by name
+ */
+function storeFilterPresets(presets) {
+    localStorage.setItem(FILTER_PRESETS_KEY, JSON.stringify(presets));
+}
+
+/**
+ * Save the current filters as a named preset
+ */
+function saveFilterPreset() {
+    if (currentFilters.length === 0) return;
+    
+    const name = prompt('Name this filter preset:');
+    if (!name || !name.trim()) return;
+    
+    const presets = loadFilterPresets();
+    presets[name.trim()] = {
+        filters: currentFilters.map(filter => ({ ...filter })),
+        matchMode: filterMatchMode
+    };
+    storeFilterPresets(presets);
+    updateFilterDisplay();
+}
+
+/**
+ * Replace the current filters with a saved preset
+ * @param {string} name - Preset name
+ */
+function loadFilterPreset(name) {
+    const preset = loadFilterPresets()[name];
+    if (!preset) return;
+    
+    currentFilters = preset.filters.map(filter => ({ ...filter }));
+    filterMatchMode = preset.matchMode === 'any' ? 'any' : 'all';
+    updateFilterDisplay();
+    applyFilters();
+}
+
+/**
+ * Delete a saved filter preset
+ * @param {string} name - Preset name
+ */
+function deleteFilterPreset(name) {
+    const presets = loadFilterPresets();
+    if (!presets[name] || !confirm(`Delete the "${name}" filter preset?`)) return;
+    
+    delete presets[name];
+    storeFilterPresets(presets);
+    updateFilterDisplay();
+}
+
+/**
+ * Create the preset picker and save/delete buttons for the filter bar
+ * @param {Object} presets - Saved presets keyed by name
+ * @returns {HTMLElement} Preset controls element
+ */
+function createPresetControls(presets) {
+    const presetControls = document.createElement('div');
+    presetControls.className = 'filter-presets';
+    
+    const presetNames = Object.keys(presets).sort();
+    if (presetNames.length > 0) {
+        const presetSelect = document.createElement('select');
+        presetSelect.className = 'filter-preset-select';
+        
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Presets...';
+        presetSelect.appendChild(placeholder);
+        
+        presetNames.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            presetSelect.appendChild(option);
+        });
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'filter-preset-delete';
+        deleteButton.textContent = 'Delete preset';
+        deleteButton.disabled = true;
+        deleteButton.addEventListener('click', () => deleteFilterPreset(presetSelect.value));
+        
+        presetSelect.addEventListener('change', () => {
+            deleteButton.disabled = !presetSelect.value;
+            if (presetSelect.value) {
+                loadFilterPreset(presetSelect.value);
+            }
+        });
+        
+        presetControls.appendChild(presetSelect);
+        presetControls.appendChild(deleteButton);
+    }
+    
+    if (currentFilters.length > 0) {
+        const saveButton = document.createElement('button');
+        saveButton.className = 'filter-preset-save';
+        saveButton.textContent = 'Save preset';
+        saveButton.addEventListener('click', saveFilterPreset);
+        presetControls.appendChild(saveButton);
+    }
+    
+    return presetControls;
+}
+
+/**
+ * Update the filter display UI
+ */
+function updateFilterDisplay() {
+    const filterContainer = elements.filterContainer();
+    const filterTags = elements.filterTags();
+    const presets = loadFilterPresets();
+    
+    updateFeedLinks();
+    updateDateRangeControls();
+    
+    const hasDateRange = Boolean(dateRange.from || dateRange.to);
+    
+    // Keep the bar visible while presets exist so they can be loaded
+    if (currentFilters.length === 0 && !hasDateRange && Object.keys(presets).length === 0) {
+        filterContainer.classList.remove('active');
+        return;
+    }
+    
+    filterContainer.classList.add('active');
+    filterTags.innerHTML = '';
+    
+    // ANY/ALL only matters with more than one included tag
+    const includedCount = currentFilters.filter(filter => !filter.exclude).length;
+    if (includedCount > 1) {
+        const modeToggle = document.createElement('button');
+        modeToggle.className = 'filter-mode-toggle';
+        modeToggle.textContent = filterMatchMode === 'any' ? 'ANY' : 'ALL';
+        modeToggle.title = filterMatchMode === 'any'
+            ? 'Showing articles with any of these tags. Click to require all.'
+            : 'Showing articles with all of these tags. Click to match any.';
+        modeToggle.addEventListener('click', () => {
+            setFilterMatchMode(filterMatchMode === 'any' ? 'all' : 'any');
+        });
+        filterTags.appendChild(modeToggle);
+    }
+    
+    currentFilters.forEach(({ tag, exclude }) => {
+        const filterTag = document.createElement('div');
+        filterTag.className = exclude ? 'filter-tag excluded' : 'filter-tag';
+        
+        const tagText = document.createElement('span');
+        tagText.className = 'filter-tag-text';
+        tagText.textContent = exclude ? `NOT ${tag}` : tag;
+        tagText.title = exclude ? 'Click to include this tag' : 'Click to exclude this tag';
+        tagText.addEventListener('click', () => toggleTagFilterExclude(tag));
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'filter-tag-remove';
+        removeButton.textContent = '×';
+        removeButton.title = `Remove ${tag} filter`;
+        removeButton.addEventListener('click', () => removeTagFilter(tag));
+        
+        filterTag.appendChild(tagText);
+        filterTag.appendChild(removeButton);
+        filterTags.appendChild(filterTag);
+    });
+    
+    if (hasDateRange) {
+        const dateFilter = document.createElement('div');
+        dateFilter.className = 'filter-tag filter-date-range';
+        
+        const dateText = document.createElement('span');
+        dateText.className = 'filter-tag-text';
+        dateText.textContent = formatDateRange();
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'filter-tag-remove';
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove date filter';
+        removeButton.addEventListener('click', () => setDateRange('', ''));
+        
+        dateFilter.appendChild(dateText);
+        dateFilter.appendChild(removeButton);
+        filterTags.appendChild(dateFilter);
+    }
+    
+    filterTags.appendChild(createPresetControls(presets));
+}
+
+/**
+ * Split a search query into lowercase terms
+ * @param {string} query - Raw search query
+ * @returns {Array<string>} Search terms
+ */
+function getSearchTerms(query) {
+    return query.toLowerCase().split(/\s+/).filter(term => term);
+}
+
+/**
+ * Score how well an article matches the search terms
+ * Every term has to match somewhere; title hits weigh most, then tags and domain, then the review
+ * @param {Object} article - Article object
+ * @param {Array<string>} terms - Lowercase search terms
+ * @returns {number} Relevance score, 0 when the article doesn't match
+ */
+function scoreArticle(article, terms) {
+    const title = article.title.toLowerCase();
+    const review = [
+        article.review || '',
+        ...(article.highlights || []).map(highlight => `${highlight.quote}\n${highlight.note}`)
+    ].join('\n').toLowerCase();
+    const domain = (article.domain || '').toLowerCase();
+    const tags = (article.tags || []).map(tag => tag.toLowerCase());
+    
+    let score = 0;
+    for (const term of terms) {
+        let termScore = 0;
+        
+        if (title.includes(term)) {
+            // Whole-word and word-start matches in the title rank highest
+            const wordStart = new RegExp(`(^|\\W)${escapeRegExp(term)}`).test(title);
+            termScore += wordStart ? 6 : 4;
+        }
+        if (tags.some(tag => tag.replace(/^#/, '') === term.replace(/^#/, ''))) {
+            termScore += 4;
+        } else if (tags.some(tag => tag.includes(term))) {
+            termScore += 2;
+        }
+        if (domain.includes(term)) {
+            termScore += 2;
+        }
+        if (review.includes(term)) {
+            termScore += 1;
+        }
+        
+        if (termScore === 0) {
+            return 0;
+        }
+        score += termScore;
+    }
+    
+    return score;
+}
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check whether a tag is another tag or one of its descendants
+ * Tags nest with slashes, so #design/typography sits under #design.
+ * @param {string} tag - Tag to check
+ * @param {string} parent - Tag that may contain it
+ * @returns {boolean} True if the tag is the parent or nested under it
+ */
+function isTagWithin(tag, parent) {
+    return tag === parent || tag.startsWith(`${parent}/`);
+}
+
+/**
+ * Check whether an article carries a tag or one of its child tags
+ * @param {Object} article - Article object
+ * @param {string} tag - Tag to look for
+ * @returns {boolean} True if the article has the tag
+ */
+function articleHasTag(article, tag) {
+    return (article.tags || []).some(articleTag => isTagWithin(articleTag, tag));
+}
+
+/**
+ * Get the articles matching the current tag filters and search, in display order
+ * @returns {Array<Object>} Filtered articles
+ */
+function getFilteredArticles() {
+    // The main list hides archived articles; the archive view shows only those.
+    // The highlights view collects quotes from both and the stats cover everything read.
+    const showArchived = currentView === 'archive';
+    let filteredArticles;
+    if (currentView === 'highlights') {
+        filteredArticles = articles.filter(article => article.highlights && article.highlights.length > 0);
+    } else if (currentView === 'stats') {
+        filteredArticles = articles.filter(isSavedArticle);
+    } else {
+        filteredArticles = articles.filter(article => Boolean(article.archived) === showArchived);
+    }
+    
+    if (currentView === 'queue') {
+        filteredArticles = filteredArticles.filter(article => QUEUE_STATUSES.includes(article.status));
+    }
+    if (statusFilters.size > 0) {
+        filteredArticles = filteredArticles.filter(article => statusFilters.has(article.status));
+    }
+    if (minimumRating > 0) {
+        filteredArticles = filteredArticles.filter(article => (article.rating || 0) >= minimumRating);
+    }
+    if (dateRange.from || dateRange.to) {
+        filteredArticles = filteredArticles.filter(article =>
+            (!dateRange.from || article.date >= dateRange.from) && (!dateRange.to || article.date <= dateRange.to));
+    }
+    
+    if (currentFilters.length > 0) {
+        const includedTags = currentFilters.filter(filter => !filter.exclude).map(filter => filter.tag);
+        const excludedTags = currentFilters.filter(filter => filter.exclude).map(filter => filter.tag);
+        
+        filteredArticles = filteredArticles.filter(article => {
+            // Excluded tags always win
+            if (excludedTags.some(tag => articleHasTag(article, tag))) {
+                return false;
+            }
+            if (includedTags.length === 0) {
+                return true;
+            }
+            
+            return filterMatchMode === 'any'
+                ? includedTags.some(tag => articleHasTag(article, tag))
+                : includedTags.every(tag => articleHasTag(article, tag));
+        });
+    }
+    
+    // The highlights view searches individual quotes in getFilteredHighlights
+    const terms = currentView === 'highlights' ? [] : getSearchTerms(currentSearch);
+    if (terms.length > 0) {
+        // Rank by relevance; Array.prototype.sort is stable so ties keep archive order
+        filteredArticles = filteredArticles
+            .map(article => ({ article, score: scoreArticle(article, terms) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .map(result => result.article);
+    }
+    
+    // The queue reads oldest-first unless a sort or search asks for something else
+    if (currentView === 'queue' && viewOptions.sort === 'default' && terms.length === 0) {
+        return [...filteredArticles].sort((a, b) => a.date.localeCompare(b.date));
+    }
+    
+    return sortArticles(filteredArticles);
+}
+
+/**
+ * Sort articles by the chosen sort field and direction
+ * @param {Array<Object>} list - Articles to sort
+ * @returns {Array<Object>} Sorted copy, or the same list for the default order
+ */
+function sortArticles(list) {
+    const { sort, direction } = viewOptions;
+    if (sort === 'default') {
+        return list;
+    }
+    
+    const comparators = {
+        date: (a, b) => a.date.localeCompare(b.date),
+        title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }),
+        domain: (a, b) => (a.domain || '').localeCompare(b.domain || ''),
+        favorite: (a, b) => Number(a.favorite) - Number(b.favorite),
+        rating: (a, b) => (a.rating || 0) - (b.rating || 0)
+    };
+    const compare = comparators[sort];
+    const sign = direction === 'asc' ? 1 : -1;
+    
+    // Sorting is stable, so equal items keep their archive order
+    return [...list].sort((a, b) => sign * compare(a, b));
+}
+
+/**
+ * Get the group heading an article falls under
+ * @param {Object} article - Article object
+ * @returns {string|null} Group label, or null when grouping is off
+ */
+function getArticleGroup(article) {
+    if (viewOptions.group === 'month') {
+        return formatMonth(article.date);
+    }
+    if (viewOptions.group === 'domain') {
+        return article.domain || 'Unknown site';
+    }
+    return null;
+}
+
+/**
+ * Format the month of a YYYY-MM-DD date, e.g. "March 2024"
+ * @param {string} date - Date string
+ * @returns {string} Month label, or 'Undated'
+ */
+function formatMonth(date) {
+    const [year, month] = (date || '').split('-').map(Number);
+    if (!year || !month) return 'Undated';
+    return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+}
+
+/**
+ * Read sort and grouping preferences from localStorage
+ */
+function loadViewOptions() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(VIEW_OPTIONS_KEY)) || {};
+        if (stored.sort in SORT_OPTIONS) viewOptions.sort = stored.sort;
+        if (stored.direction === 'asc' || stored.direction === 'desc') viewOptions.direction = stored.direction;
+        if (stored.group in GROUP_OPTIONS) viewOptions.group = stored.group;
+        if (stored.density in DENSITY_OPTIONS) viewOptions.density = stored.density;
+    } catch (error) {
+        console.warn('Could not read view options:', error);
+    }
+}
+
+/**
+ * Update sort, grouping and density preferences, persist them and re-render
+ * @param {Object} changes - Any of { sort, direction, group, density }
+ */
+function setViewOptions(changes) {
+    viewOptions = { ...viewOptions, ...changes };
+    localStorage.setItem(VIEW_OPTIONS_KEY, JSON.stringify(viewOptions));
+    applyFilters();
+}
+
+/**
+ * Create a <select> from an options map
+ * @param {string} className - Class for the select element
+ * @param {Object} options - Option labels keyed by value
+ * @param {string} value - Selected value
+ * @param {Function} onChange - Called with the new value
+ * @returns {HTMLElement} Select element
+ */
+function createSelect(className, options, value, onChange) {
+    const select = document.createElement('select');
+    select.className = className;
+    
+    Object.entries(options).forEach(([optionValue, label]) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+/**
+ * Create the sort and grouping controls in the toolbar
+ */
+function setupSortControls() {
+    loadViewOptions();
+    
+    const sortSelect = createSelect('sort-select', SORT_OPTIONS, viewOptions.sort, sort => {
+        directionButton.disabled = sort === 'default';
+        setViewOptions({ sort });
+    });
+    
+    const directionButton = document.createElement('button');
+    directionButton.className = 'sort-direction-button';
+    directionButton.disabled = viewOptions.sort === 'default';
+    
+    function updateDirectionButton() {
+        const ascending = viewOptions.direction === 'asc';
+        directionButton.textContent = ascending ? '↑' : '↓';
+        directionButton.title = ascending ? 'Ascending. Click for descending.' : 'Descending. Click for ascending.';
+    }
+    updateDirectionButton();
+    
+    directionButton.addEventListener('click', () => {
+        setViewOptions({ direction: viewOptions.direction === 'asc' ? 'desc' : 'asc' });
+        updateDirectionButton();
+    });
+    
+    const groupSelect = createSelect('group-select', GROUP_OPTIONS, viewOptions.group, group => {
+        setViewOptions({ group });
+    });
+    
+    const densitySelect = createSelect('density-select', DENSITY_OPTIONS, viewOptions.density, density => {
+        setViewOptions({ density });
+    });
+    densitySelect.title = 'How much of each card to show';
+    
+    const toolbar = getToolbar();
+    toolbar.appendChild(sortSelect);
+    toolbar.appendChild(directionButton);
+    toolbar.appendChild(groupSelect);
+    toolbar.appendChild(densitySelect);
+}
+
+/**
+ * Apply current filters to articles
+ */
+function applyFilters() {
+    if (currentView === 'highlights') {
+        renderHighlights(getFilteredHighlights());
+    } else if (currentView === 'stats') {
+        renderStats(getFilteredArticles());
+    } else if (currentView === 'tags') {
+        renderTagManager();
+    } else if (currentView === 'timeline') {
+        renderTimeline(getFilteredArticles());
+    } else {
+        renderArticles(getFilteredArticles());
+    }
+    updateTagHighlighting(currentFilters);
+    updateBulkActions();
+}
+
+/**
+ * Switch between the main list and the archive view
+ * @param {string} view - 'list' or 'archive'
+ */
+function setView(view) {
+    currentView = view;
+    
+    document.querySelectorAll('.view-button').forEach(button => {
+        const active = button.dataset.view === view;
+        button.classList.toggle('active', active);
+        button.textContent = active ? 'Back to list' : VIEW_LABELS[button.dataset.view];
+    });
+    
+    applyFilters();
+}
+
+/**
+ * Create the toolbar button that opens the archive view
+ */
+function setupViewControls() {
+    const toolbar = getToolbar();
+    
+    Object.entries(VIEW_LABELS).forEach(([view, label]) => {
+        const viewButton = document.createElement('button');
+        viewButton.id = `${view}-view-button`;
+        viewButton.className = 'view-button';
+        viewButton.dataset.view = view;
+        viewButton.textContent = label;
+        viewButton.addEventListener('click', () => {
+            setView(currentView === view ? 'list' : view);
+        });
+        toolbar.appendChild(viewButton);
+    });
+    
+    setupStatusFilters();
+    setupRatingFilter();
+}
+
+/**
+ * Create the minimum rating filter in the toolbar
+ */
+function setupRatingFilter() {
+    const ratingSelect = createSelect('rating-filter-select', RATING_FILTER_OPTIONS, String(minimumRating), rating => {
+        minimumRating = Number(rating);
+        applyFilters();
+    });
+    ratingSelect.title = 'Show only articles with at least this rating';
+    
+    getToolbar().appendChild(ratingSelect);
+}
+
+/**
+ * Show or hide articles with a reading status
+ * @param {string} status - Key of STATUS_OPTIONS
+ */
+function toggleStatusFilter(status) {
+    if (statusFilters.has(status)) {
+        statusFilters.delete(status);
+    } else {
+        statusFilters.add(status);
+    }
+    updateStatusFilterChips();
+    applyFilters();
+}
+
+/**
+ * Mark the status filter chips that are switched on
+ */
+function updateStatusFilterChips() {
+    document.querySelectorAll('.status-filter-chip').forEach(chip => {
+        chip.classList.toggle('active', statusFilters.has(chip.dataset.status));
+    });
+}
+
+/**
+ * Create the reading status filter chips in the toolbar
+ */
+function setupStatusFilters() {
+    const statusFilterBar = document.createElement('div');
+    statusFilterBar.className = 'status-filters';
+    
+    Object.entries(STATUS_OPTIONS).forEach(([status, label]) => {
+        const chip = document.createElement('button');
+        chip.className = `status-filter-chip status-${status}`;
+        chip.dataset.status = status;
+        chip.textContent = label;
+        chip.title = `Show only ${label.toLowerCase()} articles; pick several to combine`;
+        chip.addEventListener('click', () => toggleStatusFilter(status));
+        statusFilterBar.appendChild(chip);
+    });
+    
+    getToolbar().appendChild(statusFilterBar);
+}
+
+/**
+ * Set the search query, keep it in the URL and re-apply filters
+ * @param {string} query - Search query
+ */
+function setSearchQuery(query) {
+    currentSearch = query;
+    
+    // Keep the query in the URL so searches can be bookmarked
+    const url = new URL(window.location.href);
+    if (query.trim()) {
+        url.searchParams.set('q', query);
+    } else {
+        url.searchParams.delete('q');
+    }
+    history.replaceState(null, '', url);
+    
+    applyFilters();
+}
+
+/**
+ * Append text to an element, wrapping search term matches in <mark> elements
+ * @param {HTMLElement} element - Element to append to
+ * @param {string} text - Text to display
+ */
+function appendHighlightedText(element, text) {
+    const terms = getSearchTerms(currentSearch);
+    if (terms.length === 0) {
+        element.appendChild(document.createTextNode(text));
+        return;
+    }
+    
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    text.split(pattern).forEach((part, i) => {
+        if (!part) return;
+        
+        // split() with a capture group puts the matches at odd positions
+        if (i % 2 === 1) {
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = part;
+            element.appendChild(mark);
+        } else {
+            element.appendChild(document.createTextNode(part));
+        }
+    });
+}
+
+/**
+ * Get the toolbar that holds the archive controls, creating it above the filter bar if needed
+ * @returns {HTMLElement} Toolbar element
+ */
+function getToolbar() {
+    let toolbar = elements.toolbar();
+    if (!toolbar) {
+        toolbar = document.createElement('div');
+        toolbar.id = 'archive-toolbar';
+        toolbar.className = 'archive-toolbar';
+        
+        const anchor = elements.filterContainer() || elements.container();
+        anchor.parentNode.insertBefore(toolbar, anchor);
+    }
+    return toolbar;
+}
+
+/**
+ * Create the search box and restore the query from the URL
+ */
+function setupSearch() {
+    const searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.id = 'search-input';
+    searchInput.className = 'search-input';
+    searchInput.placeholder = 'Search titles, reviews, sites and tags...';
+    
+    currentSearch = new URLSearchParams(window.location.search).get('q') || '';
+    searchInput.value = currentSearch;
+    
+    searchInput.addEventListener('input', () => setSearchQuery(searchInput.value));
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && searchInput.value) {
+            searchInput.value = '';
+            setSearchQuery('');
+        }
+    });
+    
+    getToolbar().appendChild(searchInput);
+}
+
+/**
+ * Update tag highlighting across all articles
+ * @param {Array<Object>} activeFilters - Filter chips { tag, exclude } to highlight
+ */
+function updateTagHighlighting(activeFilters) {
+    const allTagChips = document.querySelectorAll('.tag-chip');
+    
+    allTagChips.forEach(chip => {
+        const filter = activeFilters.find(activeFilter => activeFilter.tag === chip.textContent);
+        chip.classList.toggle('active', Boolean(filter && !filter.exclude));
+        chip.classList.toggle('excluded', Boolean(filter && filter.exclude));
+    });
+}
+
+/**
+ * Handle tag chip click
+ * @param {string} tag - Tag that was clicked
+ * @param {boolean} [exclude=false] - Add the tag as an exclusion (Alt-click)
+ */
+function handleTagClick(tag, exclude = false) {
+    if (findTagFilter(tag)) {
+        // If tag is already filtered, remove it
+        removeTagFilter(tag);
+    } else {
+        // Add tag to filters
+        addTagFilter(tag, exclude);
+    }
+}
+
+/**
+ * Render articles to the DOM
+ * @param {Array<Object>} articles - Array of article objects
+ */
+function renderArticles(articles) {
+    const container = elements.container();
+    const countElement = elements.count();
+    
+    // Update article count
+    const countLabels = { list: 'articles', queue: 'articles in queue', archive: 'archived articles' };
+    countElement.textContent = `${articles.length} ${countLabels[currentView]}`;
+    
+    // Clear container and render articles
+    container.innerHTML = '';
+    Object.keys(DENSITY_OPTIONS).forEach(density => {
+        container.classList.toggle(`density-${density}`, viewOptions.density === density);
+    });
+    
+    // Bucket articles by group, keeping groups in order of first appearance
+    const groups = new Map();
+    articles.forEach(article => {
+        const group = getArticleGroup(article);
+        if (!groups.has(group)) {
+            groups.set(group, []);
+        }
+        groups.get(group).push(article);
+    });
+    
+    groups.forEach((members, group) => {
+        if (group !== null) {
+            container.appendChild(createGroupHeading(group, members.length));
+        }
+        
+        members.forEach(article => {
+            const articleElement = createArticleElement(article);
+            container.appendChild(articleElement);
+        });
+    });
+}
+
+/**
+ * Create a group heading for the article list
+ * @param {string} label - Group label
+ * @param {number} count - Number of articles in the group
+ * @returns {HTMLElement} Heading element
+ */
+function createGroupHeading(label, count) {
+    const heading = document.createElement('div');
+    heading.className = 'article-group-heading';
+    
+    const labelElement = document.createElement('span');
+    labelElement.className = 'article-group-label';
+    labelElement.textContent = label;
+    
+    const countElement = document.createElement('span');
+    countElement.className = 'article-group-count';
+    countElement.textContent = count;
+    
+    heading.appendChild(labelElement);
+    heading.appendChild(countElement);
+    return heading;
+}
+
+/**
+ * Format a rating as filled and empty stars
+ * @param {number} rating - Rating from 0 to MAX_RATING
+ * @returns {string} Star string, e.g. "★★★☆☆"
+ */
+function formatRating(rating) {
+    return '★'.repeat(rating) + '☆'.repeat(MAX_RATING - rating);
+}
+
+/**
+ * Render inline Markdown (code, bold, italics and links) into an element
+ * Builds DOM nodes rather than HTML so review text can never inject markup.
+ * @param {HTMLElement} element - Element to append to
+ * @param {string} text - Inline Markdown text
+ */
+function appendInlineMarkdown(element, text) {
+    // Underscores only count at word edges, so snake_case_names stay as they are
+    const pattern = /`([^`]+)`|\*\*(.+?)\*\*|\*(.+?)\*|(?<!\w)_(.+?)_(?!\w)|\[([^\]]+)\]\(([^)\s]+)\)/g;
+    let lastIndex = 0;
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            appendHighlightedText(element, text.slice(lastIndex, match.index));
+        }
+        lastIndex = pattern.lastIndex;
+        
+        const [, code, bold, italic, underscored, linkText, href] = match;
+        let node;
+        if (code !== undefined) {
+            node = document.createElement('code');
+            appendHighlightedText(node, code);
+        } else if (bold !== undefined) {
+            node = document.createElement('strong');
+            appendInlineMarkdown(node, bold);
+        } else if (italic !== undefined || underscored !== undefined) {
+            node = document.createElement('em');
+            appendInlineMarkdown(node, italic !== undefined ? italic : underscored);
+        } else if (/^(https?:|mailto:)/i.test(href)) {
+            node = document.createElement('a');
+            node.href = href;
+            node.target = '_blank';
+            node.rel = 'noopener noreferrer';
+            appendInlineMarkdown(node, linkText);
+        } else {
+            // Links to other schemes (javascript: and friends) stay plain text
+            appendHighlightedText(element, match[0]);
+            continue;
+        }
+        element.appendChild(node);
+    }
+    
+    if (lastIndex < text.length) {
+        appendHighlightedText(element, text.slice(lastIndex));
+    }
+}
+
+/**
+ * Render a Markdown review into an element
+ * Supports paragraphs, headings, lists, block quotes, fenced code and inline formatting.
+ * @param {HTMLElement} element - Element to append to
+ * @param {string} markdown - Review text
+ */
+function renderMarkdown(element, markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    let i = 0;
+    
+    const appendLines = (parent, blockLines) => {
+        blockLines.forEach((line, index) => {
+            if (index > 0) parent.appendChild(document.createElement('br'));
+            appendInlineMarkdown(parent, line);
+        });
+    };
+    
+    while (i < lines.length) {
+        const line = lines[i];
+        
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+        
+        if (/^```/.test(line)) {
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !/^```/.test(lines[i])) {
+                codeLines.push(lines[i]);
+                i++;
+            }
+            i++;
+            const pre = document.createElement('pre');
+            const code = document.createElement('code');
+            appendHighlightedText(code, codeLines.join('\n'));
+            pre.appendChild(code);
+            element.appendChild(pre);
+            continue;
+        }
+        
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        if (heading) {
+            // Review headings sit below the card title, so start at h4
+            const headingElement = document.createElement(`h${heading[1].length + 3}`);
+            appendInlineMarkdown(headingElement, heading[2]);
+            element.appendChild(headingElement);
+            i++;
+            continue;
+        }
+        
+        if (/^>\s?/.test(line)) {
+            const quoteLines = [];
+            while (i < lines.length && /^>\s?/.test(lines[i])) {
+                quoteLines.push(lines[i].replace(/^>\s?/, ''));
+                i++;
+            }
+            const blockquote = document.createElement('blockquote');
+            renderMarkdown(blockquote, quoteLines.join('\n'));
+            element.appendChild(blockquote);
+            continue;
+        }
+        
+        const listMarker = /^\s*([-*+]|\d+[.)])\s+/;
+        if (listMarker.test(line)) {
+            const ordered = /^\s*\d/.test(line);
+            const list = document.createElement(ordered ? 'ol' : 'ul');
+            while (i < lines.length && listMarker.test(lines[i])) {
+                const item = document.createElement('li');
+                appendInlineMarkdown(item, lines[i].replace(listMarker, ''));
+                list.appendChild(item);
+                i++;
+            }
+            element.appendChild(list);
+            continue;
+        }
+        
+        const paragraphLines = [];
+        while (i < lines.length && lines[i].trim() && !/^(```|#{1,3}\s|>)/.test(lines[i]) && !listMarker.test(lines[i])) {
+            paragraphLines.push(lines[i]);
+            i++;
+        }
+        const paragraph = document.createElement('p');
+        appendLines(paragraph, paragraphLines);
+        element.appendChild(paragraph);
+    }
+}
+
+/**
+ * Set up the star rating control for an article in edit mode
+ * Clicking the current rating again clears it.
+ * @param {HTMLElement} container - Rating container element
+ * @param {number} rating - Current rating
+ * @param {Function} onChange - Callback for rating changes
+ */
+function setupRatingInput(container, rating, onChange) {
+    container.innerHTML = '';
+    container.dataset.value = String(rating || 0);
+    
+    const updateStars = () => {
+        const value = Number(container.dataset.value);
+        container.querySelectorAll('.rating-star').forEach((star, index) => {
+            star.textContent = index < value ? '★' : '☆';
+            star.classList.toggle('filled', index < value);
+        });
+    };
+    
+    for (let value = 1; value <= MAX_RATING; value++) {
+        const star = document.createElement('button');
+        star.type = 'button';
+        star.className = 'rating-star';
+        star.title = `${value} star${value === 1 ? '' : 's'}`;
+        star.addEventListener('click', (e) => {
+            e.preventDefault();
+            container.dataset.value = String(Number(container.dataset.value) === value ? 0 : value);
+            updateStars();
+            onChange();
+        });
+        container.appendChild(star);
+    }
+    updateStars();
+}
+
+/**
+ * Create the display of one highlight: quote, note and location
+ * @param {Object} article - Article the highlight belongs to
+ * @param {Object} highlight - Highlight { quote, note, location }
+ * @returns {HTMLElement} Highlight element
+ */
+function createHighlightElement(article, highlight) {
+    const highlightElement = document.createElement('div');
+    highlightElement.className = 'article-highlight';
+    
+    const quote = document.createElement('blockquote');
+    quote.className = 'highlight-quote';
+    appendHighlightedText(quote, highlight.quote);
+    highlightElement.appendChild(quote);
+    
+    if (highlight.note) {
+        const note = document.createElement('div');
+        note.className = 'highlight-note';
+        appendHighlightedText(note, highlight.note);
+        highlightElement.appendChild(note);
+    }
+    
+    if (highlight.location) {
+        // Anchors and URLs become links into the article; anything else (page numbers) stays text
+        let href = null;
+        if (highlight.location.startsWith('#')) {
+            href = article.url.split('#')[0] + highlight.location;
+        } else if (/^https?:\/\//i.test(highlight.location)) {
+            href = highlight.location;
+        }
+        
+        const location = document.createElement(href ? 'a' : 'span');
+        location.className = 'highlight-location';
+        location.textContent = highlight.location;
+        if (href) {
+            location.href = href;
+            location.target = '_blank';
+            location.rel = 'noopener noreferrer';
+        }
+        highlightElement.appendChild(location);
+    }
+    
+    return highlightElement;
+}
+
+/**
+ * Get every highlight of the filtered articles that matches the search
+ * @returns {Array<Object>} Entries { article, highlight }
+ */
+function getFilteredHighlights() {
+    const terms = getSearchTerms(currentSearch);
+    
+    return getFilteredArticles().flatMap(article => (article.highlights || [])
+        .filter(highlight => {
+            const text = `${highlight.quote}\n${highlight.note}\n${highlight.location}\n${article.title}`.toLowerCase();
+            return terms.every(term => text.includes(term));
+        })
+        .map(highlight => ({ article, highlight })));
+}
+
+/**
+ * Render the All highlights view
+ * @param {Array<Object>} entries - Entries { article, highlight } from getFilteredHighlights
+ */
+function renderHighlights(entries) {
+    const container = elements.container();
+    elements.count().textContent = entries.length === 1 ? '1 highlight' : `${entries.length} highlights`;
+    container.innerHTML = '';
+    
+    entries.forEach(({ article, highlight }) => {
+        const entry = createHighlightElement(article, highlight);
+        entry.classList.add('highlight-entry');
+        
+        const source = document.createElement('div');
+        source.className = 'highlight-source';
+        
+        const title = document.createElement('a');
+        title.className = 'highlight-article-title';
+        title.href = article.url;
+        title.target = '_blank';
+        title.rel = 'noopener noreferrer';
+        appendHighlightedText(title, article.title);
+        
+        const showButton = document.createElement('button');
+        showButton.className = 'highlight-show-article';
+        showButton.textContent = 'Show article';
+        showButton.addEventListener('click', () => jumpToArticle(article.id));
+        
+        source.appendChild(title);
+        source.appendChild(showButton);
+        entry.appendChild(source);
+        container.appendChild(entry);
+    });
+}
+
+/**
+ * Infer what kind of content a link points to from its URL
+ * @param {Object} article - Article object
+ * @returns {string} Key of CONTENT_TYPES
+ */
+function getContentType(article) {
+    let parsed;
+    try {
+        parsed = new URL(article.url);
+    } catch (error) {
+        return 'article';
+    }
+    
+    const host = parsed.hostname.replace(/^www\./, '');
+    const matchesHost = hosts => hosts.some(candidate => host === candidate || host.endsWith(`.${candidate}`));
+    
+    if (matchesHost(CONTENT_TYPE_HOSTS.video)) return 'video';
+    if (matchesHost(CONTENT_TYPE_HOSTS.tweet)) return 'tweet';
+    if (matchesHost(CONTENT_TYPE_HOSTS.paper) || /\.pdf$/i.test(parsed.pathname)) return 'paper';
+    return 'article';
+}
+
+/**
+ * Create the source line of a card: favicon, domain and content-type badge
+ * @param {Object} article - Article object
+ * @returns {HTMLElement} Source element
+ */
+function createSourceElement(article) {
+    const sourceElement = document.createElement('div');
+    sourceElement.className = 'article-source';
+    
+    if (viewOptions.density !== 'compact') {
+        const favicon = document.createElement('img');
+        favicon.className = 'article-favicon';
+        favicon.src = new URL('/favicon.ico', article.url).href;
+        favicon.alt = '';
+        favicon.loading = 'lazy';
+        favicon.referrerPolicy = 'no-referrer';
+        // Plenty of sites have no favicon.ico; hide the broken image
+        favicon.addEventListener('error', () => favicon.remove());
+        sourceElement.appendChild(favicon);
+    }
+    
+    const domainElement = document.createElement('span');
+    domainElement.className = 'article-domain';
+    domainElement.textContent = article.domain;
+    if (article.site_name) {
+        domainElement.title = article.site_name;
+    }
+    sourceElement.appendChild(domainElement);
+    
+    const contentType = getContentType(article);
+    const badge = document.createElement('span');
+    badge.className = `article-type-badge type-${contentType}`;
+    badge.textContent = CONTENT_TYPES[contentType];
+    sourceElement.appendChild(badge);
+    
+    return sourceElement;
+}
+
+/**
+ * Create a single article DOM element
+ * @param {Object} article - Article object with title, url, date, favorite, and review
+ * @returns {HTMLElement} Article DOM element
+ */
+function createArticleElement(article) {
+    const articleElement = document.createElement('div');
+    articleElement.className = 'article-item';
+    articleElement.dataset.id = article.id;
+    articleElement.classList.toggle('keyboard-focus', article.id === focusedArticleId);
+    
+    // Checkbox for batch actions while selecting
+    let selectCheckbox = null;
+    if (selectionMode) {
+        selectCheckbox = document.createElement('input');
+        selectCheckbox.type = 'checkbox';
+        selectCheckbox.className = 'article-select-checkbox';
+        selectCheckbox.checked = selectedArticleIds.has(article.id);
+        selectCheckbox.title = 'Select (shift-click to select a range)';
+        selectCheckbox.addEventListener('click', (e) => {
+            e.stopPropagation();
+            selectArticle(article.id, selectCheckbox.checked, e.shiftKey);
+        });
+        articleElement.classList.toggle('selected', selectCheckbox.checked);
+    }
+    
+    // Create edit trigger area (invisible, top-right corner)
+    const editTrigger = document.createElement('div');
+    editTrigger.className = 'article-edit-trigger';
+    editTrigger.title = 'Double-click to edit (or press e)';
+    editTrigger.addEventListener('dblclick', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        enterEditMode(article.id, articleElement);
+    });
+    
+    // Create date row with optional star
+    const dateRow = document.createElement('div');
+    dateRow.className = 'article-date-row';
+    
+    // Add star if favorited
+    if (article.favorite) {
+        const starElement = document.createElement('span');
+        starElement.className = 'article-favorite-star';
+        starElement.textContent = 'star';
+        starElement.title = 'Remove from favorites';
+        starElement.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            toggleFavorite(article.id);
+        });
+        dateRow.appendChild(starElement);
+    }
+    
+    const dateElement = document.createElement('div');
+    dateElement.className = 'article-date';
+    dateElement.textContent = formatDate(article.date);
+    dateRow.appendChild(dateElement);
+    
+    if (article.rating) {
+        const ratingElement = document.createElement('span');
+        ratingElement.className = 'article-rating';
+        ratingElement.textContent = formatRating(article.rating);
+        ratingElement.title = `Rated ${article.rating} of ${MAX_RATING}`;
+        dateRow.appendChild(ratingElement);
+    }
+    
+    // Finished is the usual state, so only the others get a badge
+    if (article.status && article.status !== 'finished' && isSavedArticle(article)) {
+        const statusBadge = document.createElement('span');
+        statusBadge.className = `article-status-badge status-${article.status}`;
+        statusBadge.textContent = STATUS_OPTIONS[article.status];
+        statusBadge.title = article.status === 'in-progress' && article.started
+            ? `Started ${formatDate(article.started)}`
+            : `Filter by ${STATUS_OPTIONS[article.status].toLowerCase()}`;
+        statusBadge.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            toggleStatusFilter(article.status);
+        });
+        dateRow.appendChild(statusBadge);
+    }
+    
+    // Show whether the article still has changes waiting to sync
+    const syncStatus = document.createElement('span');
+    setSyncStatusElement(syncStatus, article.id);
+    dateRow.appendChild(syncStatus);
+    
+    // Thumbnails from the fetched metadata take too much room in compact mode
+    let thumbnailElement = null;
+    if (article.image && viewOptions.density !== 'compact') {
+        thumbnailElement = document.createElement('img');
+        thumbnailElement.className = 'article-thumbnail';
+        thumbnailElement.src = article.image;
+        thumbnailElement.alt = '';
+        thumbnailElement.loading = 'lazy';
+        thumbnailElement.referrerPolicy = 'no-referrer';
+        thumbnailElement.addEventListener('error', () => thumbnailElement.remove());
+    }
+    
+    // Create title link (only if article has title and URL)
+    let linkElement = null;
+    if (article.title && article.url) {
+        linkElement = document.createElement('a');
+        linkElement.href = article.url;
+        linkElement.target = '_blank';
+        linkElement.rel = 'noopener noreferrer';
+        linkElement.className = 'article-title-link';
+        appendHighlightedText(linkElement, article.title);
+    } else {
+        // For new/empty articles, show placeholder text
+        linkElement = document.createElement('div');
+        linkElement.className = 'article-title-placeholder';
+        linkElement.textContent = 'New Article - Click to edit';
+    }
+    
+    const sourceElement = article.url && article.domain ? createSourceElement(article) : null;
+    
+    // Create review display (only if review exists and there's room for it)
+    let reviewElement = null;
+    if (article.review && article.review.trim() && viewOptions.density !== 'compact') {
+        reviewElement = document.createElement('div');
+        reviewElement.className = 'article-review';
+        renderMarkdown(reviewElement, article.review);
+    }
+    
+    // Create collapsible highlights list (only if there are any and room for them)
+    let highlightsElement = null;
+    if (article.highlights && article.highlights.length > 0 && viewOptions.density !== 'compact') {
+        highlightsElement = document.createElement('details');
+        highlightsElement.className = 'article-highlights';
+        // Open while searching so matching quotes are visible
+        highlightsElement.open = getSearchTerms(currentSearch).length > 0;
+        
+        const summary = document.createElement('summary');
+        summary.textContent = article.highlights.length === 1 ? '1 highlight' : `${article.highlights.length} highlights`;
+        highlightsElement.appendChild(summary);
+        
+        article.highlights.forEach(highlight => {
+            highlightsElement.appendChild(createHighlightElement(article, highlight));
+        });
+    }
+    
+    // Create tags display (only if tags exist)
+    let tagsElement = null;
+    if (article.tags && article.tags.length > 0) {
+        tagsElement = document.createElement('div');
+        tagsElement.className = 'article-tags';
+        
+        article.tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'tag-chip';
+            appendHighlightedText(chip, tag);
+            chip.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                handleTagClick(tag, e.altKey);
+            });
+            tagsElement.appendChild(chip);
+        });
+    }
+    
+    // Create edit container (hidden by default)
+    const editContainer = document.createElement('div');
+    editContainer.className = 'article-edit-container';
+    
+    // Create edit controls row
+    const editControls = document.createElement('div');
+    editControls.className = 'article-edit-controls';
+    
+    // Create date input
+    const dateInput = document.createElement('input');
+    dateInput.type = 'date';
+    dateInput.className = 'article-date-input';
+    
+    // Create favorite toggle
+    const favoriteContainer = document.createElement('div');
+    favoriteContainer.className = 'favorite-toggle-container';
+    
+    const favoriteLabel = document.createElement('span');
+    favoriteLabel.className = 'favorite-toggle-label';
+    favoriteLabel.textContent = 'Favorite';
+    
+    const favoriteToggle = document.createElement('label');
+    favoriteToggle.className = 'favorite-toggle';
+    
+    const favoriteCheckbox = document.createElement('input');
+    favoriteCheckbox.type = 'checkbox';
+    favoriteCheckbox.className = 'favorite-checkbox';
+    
+    const favoriteSlider = document.createElement('span');
+    favoriteSlider.className = 'favorite-slider';
+    
+    favoriteToggle.appendChild(favoriteCheckbox);
+    favoriteToggle.appendChild(favoriteSlider);
+    
+    favoriteContainer.appendChild(favoriteLabel);
+    favoriteContainer.appendChild(favoriteToggle);
+    
+    // Create reading status controls
+    const statusSelect = createSelect('article-status-select', STATUS_OPTIONS, article.status || 'finished', () => {});
+    statusSelect.title = 'Reading status';
+    
+    const startedInput = document.createElement('input');
+    startedInput.type = 'date';
+    startedInput.className = 'article-started-input';
+    startedInput.title = 'Started reading';
+    
+    const finishedInput = document.createElement('input');
+    finishedInput.type = 'date';
+    finishedInput.className = 'article-finished-input';
+    finishedInput.title = 'Finished reading';
+    
+    editControls.appendChild(dateInput);
+    editControls.appendChild(favoriteContainer);
+    editControls.appendChild(statusSelect);
+    editControls.appendChild(startedInput);
+    editControls.appendChild(finishedInput);
+    
+    // Create URL input (for new articles)
+    const urlInput = document.createElement('input');
+    urlInput.type = 'url';
+    urlInput.className = 'article-url-input';
+    urlInput.placeholder = 'https://example.com';
+    
+    // Shows what was fetched for the URL
+    const metadataStatus = document.createElement('div');
+    metadataStatus.className = 'article-metadata-status';
+    
+    // Create textarea for editing title
+    const titleInput = document.createElement('textarea');
+    titleInput.className = 'article-title-input';
+    titleInput.placeholder = 'Enter article title...';
+    titleInput.rows = 1;
+    
+    // Create textarea for editing review
+    const reviewInput = document.createElement('textarea');
+    reviewInput.className = 'article-review-input';
+    reviewInput.placeholder = 'Add your review or thoughts about this article... (Markdown supported)';
+    reviewInput.rows = 3;
+    
+    // Create star rating control
+    const ratingContainer = document.createElement('div');
+    ratingContainer.className = 'article-rating-input';
+    
+    // Create highlights editor, filled in by setupHighlightInputs
+    const highlightsContainer = document.createElement('div');
+    highlightsContainer.className = 'article-highlights-editor';
+    
+    // Create tags input container
+    const tagsContainer = document.createElement('div');
+    tagsContainer.className = 'article-tags-container';
+    
+    editContainer.appendChild(editControls);
+    editContainer.appendChild(urlInput);
+    editContainer.appendChild(metadataStatus);
+    editContainer.appendChild(titleInput);
+    editContainer.appendChild(ratingContainer);
+    editContainer.appendChild(reviewInput);
+    editContainer.appendChild(highlightsContainer);
+    editContainer.appendChild(tagsContainer);
+    
+    // Create archive and delete actions
+    const editActions = document.createElement('div');
+    editActions.className = 'article-edit-actions';
+    
+    const archiveButton = document.createElement('button');
+    archiveButton.className = 'archive-button';
+    archiveButton.textContent = article.archived ? 'Restore' : 'Archive';
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'delete-button';
+    deleteButton.textContent = 'Delete';
+    
+    editActions.appendChild(archiveButton);
+    editActions.appendChild(deleteButton);
+    editContainer.appendChild(editActions);
+    
+    // Create save button
+    const saveButton = document.createElement('button');
+    saveButton.className = 'save-button';
+    saveButton.title = 'Save changes';
+    
+    // Assemble the article
+    if (selectCheckbox) {
+        articleElement.appendChild(selectCheckbox);
+    }
+    articleElement.appendChild(editTrigger);
+    if (thumbnailElement) {
+        articleElement.appendChild(thumbnailElement);
+    }
+    articleElement.appendChild(dateRow);
+    articleElement.appendChild(linkElement);
+    if (sourceElement) {
+        articleElement.appendChild(sourceElement);
+    }
+    if (reviewElement) {
+        articleElement.appendChild(reviewElement);
+    }
+    if (highlightsElement) {
+        articleElement.appendChild(highlightsElement);
+    }
+    if (tagsElement) {
+        articleElement.appendChild(tagsElement);
+    }
+    articleElement.appendChild(editContainer);
+    articleElement.appendChild(saveButton);
+    
+    return articleElement;
+}
+
+/**
+ * Render articles as a vertical timeline, newest month first, with an index to jump between months
+ * @param {Array<Object>} list - Articles to show
+ */
+function renderTimeline(list) {
+    const container = elements.container();
+    elements.count().textContent = `${list.length} articles`;
+    container.innerHTML = '';
+    
+    const months = new Map();
+    [...list].sort((a, b) => b.date.localeCompare(a.date)).forEach(article => {
+        const month = (article.date || '').slice(0, 7);
+        if (!months.has(month)) {
+            months.set(month, []);
         }
-    }
-    document.addEventListener('keydown', handleKeydown);
+        months.get(month).push(article);
+    });
     
-    // Exit edit mode when clicking outside
-    function handleClickOutside(e) {
-        if (!articleElement.contains(e.target)) {
-            // For new articles, remove them if clicking outside
-            if (isNewArticle) {
-                articles.shift(); // Remove from beginning instead of end
-                articleElement.remove();
-                elements.count().textContent = `${articles.length} articles`;
-            } else {
-                exitEditMode(articleElement);
-            }
-            document.removeEventListener('click', handleClickOutside);
+    const timeline = document.createElement('div');
+    timeline.className = `timeline density-${viewOptions.density}`;
+    
+    const index = document.createElement('nav');
+    index.className = 'timeline-index';
+    
+    months.forEach((members, month) => {
+        const label = formatMonth(`${month}-01`);
+        
+        const section = document.createElement('section');
+        section.className = 'timeline-month';
+        section.dataset.month = month;
+        
+        const indexLink = document.createElement('button');
+        indexLink.className = 'timeline-index-link';
+        indexLink.textContent = `${label} (${members.length})`;
+        indexLink.addEventListener('click', () => {
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+        index.appendChild(indexLink);
+        
+        const heading = document.createElement('h3');
+        heading.className = 'timeline-month-heading';
+        heading.textContent = label;
+        
+        // Narrow the date range to this month, keeping any tag filters
+        if (label !== 'Undated') {
+            const filterButton = document.createElement('button');
+            filterButton.className = 'timeline-month-filter';
+            filterButton.textContent = 'Only this month';
+            filterButton.addEventListener('click', () => {
+                const [year, monthNumber] = month.split('-').map(Number);
+                setDateRange(`${month}-01`, toISODate(new Date(year, monthNumber, 0)));
+            });
+            heading.appendChild(filterButton);
         }
+        section.appendChild(heading);
+        
+        members.forEach(article => {
+            const entry = document.createElement('div');
+            entry.className = 'timeline-entry';
+            
+            const marker = document.createElement('div');
+            marker.className = 'timeline-marker';
+            marker.textContent = formatDate(article.date);
+            
+            entry.appendChild(marker);
+            entry.appendChild(createArticleElement(article));
+            section.appendChild(entry);
+        });
+        
+        timeline.appendChild(section);
+    });
+    
+    if (months.size > 1) {
+        container.appendChild(index);
     }
-    setTimeout(() => {
-        document.addEventListener('click', handleClickOutside);
-    }, 0);
+    container.appendChild(timeline);
 }
 
 /**
- * Exit edit mode for an article
- * @param {HTMLElement} articleElement - The article DOM element
+ * Count how many articles carry each tag, nesting child tags under their parents
+ * Parents that are only used through their children are listed too, and tags
+ * that saved filter presets still refer to show up with a count of zero.
+ * @returns {Array<Object>} Tags { tag, count, depth } in tree order
  */
-function exitEditMode(articleElement) {
-    articleElement.classList.remove('editing');
-    const saveButton = articleElement.querySelector('.save-button');
-    saveButton.classList.remove('show');
+function collectTagCounts() {
+    const tags = new Set();
+    articles.forEach(article => (article.tags || []).forEach(tag => {
+        const parts = tag.split('/');
+        parts.forEach((part, i) => tags.add(parts.slice(0, i + 1).join('/')));
+    }));
+    Object.values(loadFilterPresets()).forEach(preset => {
+        (preset.filters || []).forEach(filter => tags.add(filter.tag));
+    });
+    
+    return [...tags]
+        .filter(tag => tag)
+        .sort((a, b) => a.localeCompare(b))
+        .map(tag => ({
+            tag,
+            count: articles.filter(article => articleHasTag(article, tag)).length,
+            depth: tag.split('/').length - 1
+        }));
 }
 
 /**
- * Save article changes
- * @param {number} articleIndex - Index of article in the articles array
- * @param {string} newTitle - New title for the article
- * @param {string} newDate - New date for the article (YYYY-MM-DD format)
- * @param {boolean} newFavorite - New favorite status for the article
- * @param {string} newReview - New review text for the article
- * @param {Array<string>} newTags - New tags for the article
+ * Ask for a new name for a tag and rename or merge it
+ * @param {string} tag - Tag to rename
+ * @param {Array<Object>} tagCounts - Tags from collectTagCounts
  */
-async function saveArticleChanges(articleIndex, newTitle, newDate, newFavorite, newReview, newTags) {
-    if (articleIndex < 0 || articleIndex >= articles.length) {
-        console.error('Invalid article index');
+function promptRenameTag(tag, tagCounts) {
+    const input = prompt(`Rename ${tag} to (use an existing tag to merge them):`, tag);
+    if (input === null) return;
+    
+    const newTag = normalizeTag(input);
+    if (!newTag) {
+        alert('Please enter a tag name.');
         return;
     }
-    
-    // Validate date format
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(newDate)) {
-        alert('Please enter a valid date in YYYY-MM-DD format');
+    if (newTag === tag) return;
+    if (isTagWithin(newTag, tag)) {
+        alert(`Can't move ${tag} inside itself.`);
         return;
     }
     
-    // Update the article
-    articles[articleIndex].title = newTitle;
-    articles[articleIndex].date = newDate;
-    articles[articleIndex].favorite = newFavorite;
-    articles[articleIndex].review = newReview;
-    articles[articleIndex].tags = newTags || [];
-    
-    try {
-        // Convert to CSV and save
-        const csvContent = articlesToCSV(articles);
-        await saveCSV(csvContent);
-        
-        // Re-render the articles
-        renderArticles(articles);
-        
-        console.log('Article saved successfully');
-    } catch (error) {
-        console.error('Error saving article:', error);
-        // Show error to user
-        alert('Error saving changes. Please try again.');
+    const existing = tagCounts.find(entry => entry.tag === newTag);
+    if (existing && existing.count > 0 && !confirm(`${newTag} is already used on ${existing.count} articles. Merge ${tag} into it?`)) {
+        return;
     }
+    
+    renameTag(tag, newTag);
 }
 
 /**
- * Save article changes including URL
- * @param {number} articleIndex - Index of article in the articles array
- * @param {string} newTitle - New title for the article
- * @param {string} newUrl - New URL for the article
- * @param {string} newDate - New date for the article (YYYY-MM-DD format)
- * @param {boolean} newFavorite - New favorite status for the article
- * @param {string} newReview - New review text for the article
- * @param {Array<string>} newTags - New tags for the article
+ * Render the tag manager with every tag, its article count and actions
  */
-async function saveArticleChangesWithUrl(articleIndex, newTitle, newUrl, newDate, newFavorite, newReview, newTags) {
-    if (articleIndex < 0 || articleIndex >= articles.length) {
-        console.error('Invalid article index');
-        return;
-    }
+function renderTagManager() {
+    const container = elements.container();
+    const tagCounts = collectTagCounts();
+    const unused = tagCounts.filter(entry => entry.count === 0);
     
-    // Validate date format
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(newDate)) {
-        alert('Please enter a valid date in YYYY-MM-DD format');
-        return;
-    }
+    elements.count().textContent = tagCounts.length === 1 ? '1 tag' : `${tagCounts.length} tags`;
+    container.innerHTML = '';
     
-    // Validate URL format
-    try {
-        new URL(newUrl);
-    } catch (error) {
-        alert('Please enter a valid URL');
-        return;
+    const manager = document.createElement('div');
+    manager.className = 'tag-manager';
+    
+    if (unused.length > 0) {
+        const removeUnusedButton = document.createElement('button');
+        removeUnusedButton.className = 'tag-manager-remove-unused';
+        removeUnusedButton.textContent = `Delete ${unused.length} unused ${unused.length === 1 ? 'tag' : 'tags'}`;
+        removeUnusedButton.title = 'Tags that only saved filter presets still refer to';
+        removeUnusedButton.addEventListener('click', () => {
+            const unusedTags = unused.map(entry => entry.tag);
+            replaceTagInFilters(tag => (unusedTags.includes(tag) ? null : tag));
+        });
+        manager.appendChild(removeUnusedButton);
     }
     
-    // Update the article
-    articles[articleIndex].title = newTitle;
-    articles[articleIndex].url = newUrl;
-    articles[articleIndex].date = newDate;
-    articles[articleIndex].favorite = newFavorite;
-    articles[articleIndex].review = newReview;
-    articles[articleIndex].tags = newTags || [];
-    articles[articleIndex].domain = new URL(newUrl).hostname.replace('www.', '');
+    if (tagCounts.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'tag-manager-empty';
+        empty.textContent = 'No tags yet';
+        manager.appendChild(empty);
+    }
     
-    try {
-        // Convert to CSV and save
-        const csvContent = articlesToCSV(articles);
-        await saveCSV(csvContent);
+    tagCounts.forEach(({ tag, count, depth }) => {
+        const row = document.createElement('div');
+        row.className = count > 0 ? 'tag-manager-row' : 'tag-manager-row unused';
+        row.dataset.tag = tag;
+        row.style.paddingLeft = `${depth * 1.5}em`;
         
-        // Re-render the articles
-        renderArticles(articles);
+        const name = document.createElement('button');
+        name.className = 'tag-manager-name';
+        name.textContent = depth > 0 ? `/${tag.split('/').pop()}` : tag;
+        name.title = `Show articles tagged ${tag}`;
+        name.addEventListener('click', () => {
+            addTagFilter(tag);
+            setView('list');
+        });
         
-        console.log('Article saved successfully');
-    } catch (error) {
-        console.error('Error saving article:', error);
-        // Show error to user
-        alert('Error saving changes. Please try again.');
-    }
+        const countElement = document.createElement('span');
+        countElement.className = 'tag-manager-count';
+        countElement.textContent = count;
+        
+        const renameButton = document.createElement('button');
+        renameButton.className = 'tag-manager-rename';
+        renameButton.textContent = 'Rename';
+        renameButton.title = 'Rename this tag, or merge it into another';
+        renameButton.addEventListener('click', () => promptRenameTag(tag, tagCounts));
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'tag-manager-delete';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => {
+            if (count === 0 || confirm(`Remove ${tag} and its child tags from ${count} articles?`)) {
+                deleteTag(tag);
+            }
+        });
+        
+        row.appendChild(name);
+        row.appendChild(countElement);
+        row.appendChild(renameButton);
+        row.appendChild(deleteButton);
+        manager.appendChild(row);
+    });
+    
+    container.appendChild(manager);
 }
 
 /**
- * Create a new empty article and enter edit mode
+ * Add days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add, may be negative
+ * @returns {Date} New date
  */
-function createNewArticle() {
-    // Create a new empty article object
-    const newArticle = {
-        title: '',
-        url: '',
-        date: new Date().toISOString().split('T')[0], // Today's date in YYYY-MM-DD format
-        favorite: false,
-        review: '',
-        tags: [],
-        domain: '',
-        originalIndex: 0 // Will be at the top
-    };
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Get the Monday that starts the week of a date
+ * @param {Date} date - Any date
+ * @returns {Date} Start of the week
+ */
+function getWeekStart(date) {
+    return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+/**
+ * Count items and return the most common ones
+ * @param {Array<string>} values - Values to count
+ * @param {number} limit - How many to return
+ * @returns {Array<Array>} [value, count] pairs, most common first
+ */
+function countTop(values, limit) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0]))).slice(0, limit);
+}
+
+/**
+ * Compute reading statistics for the dashboard
+ * Only finished articles count as read, on the day they were finished, or the day they
+ * were added for articles from before finish dates were kept. Periods end at the newest
+ * one so an archive that hasn't been updated lately still shows its history.
+ * @param {Array<Object>} list - Articles to summarize
+ * @returns {Object} Totals, per-period counts, streaks and top domains, tags and tag pairs
+ */
+function computeReadingStats(list) {
+    const read = list
+        .filter(article => article.status === 'finished')
+        .map(article => ({ ...article, readDate: article.finished || article.date }));
     
-    // Add to beginning of articles array
-    articles.unshift(newArticle);
-    const newIndex = 0; // New article is now at index 0
+    const days = new Map();
+    read.forEach(article => days.set(article.readDate, (days.get(article.readDate) || 0) + 1));
+    
+    const dates = [...days.keys()].map(parseISODate).filter(date => date).sort((a, b) => a - b);
+    const end = dates.length > 0 ? dates[dates.length - 1] : new Date();
+    const countBetween = (from, to) => read.filter(article => article.readDate >= from && article.readDate <= to).length;
     
-    // Update original indices for all other articles
-    for (let i = 1; i < articles.length; i++) {
-        articles[i].originalIndex = i;
+    const months = [];
+    for (let i = STATS_MONTHS - 1; i >= 0; i--) {
+        const start = new Date(end.getFullYear(), end.getMonth() - i, 1);
+        const from = toISODate(start);
+        const to = toISODate(new Date(start.getFullYear(), start.getMonth() + 1, 0));
+        const label = start.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+        months.push({ label, title: formatMonth(from), from, to, count: countBetween(from, to) });
     }
     
-    // Create and add the article element at the top
-    const articleElement = createArticleElement(newArticle, newIndex);
-    const container = elements.container();
-    container.insertBefore(articleElement, container.firstChild);
+    const weeks = [];
+    const lastWeek = getWeekStart(end);
+    for (let i = STATS_WEEKS - 1; i >= 0; i--) {
+        const start = addDays(lastWeek, -7 * i);
+        const from = toISODate(start);
+        const to = toISODate(addDays(start, 6));
+        const label = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        weeks.push({ label, title: `Week of ${formatDate(from)}`, from, to, count: countBetween(from, to) });
+    }
     
-    // Update article count
-    elements.count().textContent = `${articles.length} articles`;
+    // Streaks count consecutive days with at least one article
+    let longestStreak = 0;
+    let run = 0;
+    dates.forEach((date, i) => {
+        run = i > 0 && toISODate(addDays(dates[i - 1], 1)) === toISODate(date) ? run + 1 : 1;
+        longestStreak = Math.max(longestStreak, run);
+    });
     
-    // Enter edit mode immediately
-    enterEditMode(newIndex, articleElement);
+    // The current streak survives until a full day passes without reading
+    let currentStreak = 0;
+    let day = new Date();
+    if (!days.has(toISODate(day))) {
+        day = addDays(day, -1);
+    }
+    while (days.has(toISODate(day))) {
+        currentStreak++;
+        day = addDays(day, -1);
+    }
     
-    // Scroll to the new article
-    articleElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    // Pairs are counted by a JSON key since tags may contain any character
+    const pairs = read.flatMap(article => {
+        const tags = [...new Set(article.tags || [])].sort();
+        return tags.flatMap((tag, i) => tags.slice(i + 1).map(other => JSON.stringify([tag, other])));
+    });
+    
+    return {
+        total: read.length,
+        favorites: read.filter(article => article.favorite).length,
+        days,
+        end,
+        months,
+        weeks,
+        currentStreak,
+        longestStreak,
+        domains: countTop(read.map(article => article.domain).filter(domain => domain), STATS_TOP_COUNT),
+        tags: countTop(read.flatMap(article => article.tags || []), STATS_TOP_COUNT),
+        pairs: countTop(pairs, STATS_TOP_COUNT).map(([pair, count]) => [JSON.parse(pair), count])
+    };
 }
 
 /**
- * Save a new article (different from editing existing)
- * @param {number} articleIndex - Index of the new article
- * @param {string} title - Title for the article
- * @param {string} url - URL for the article
- * @param {string} date - Date for the article
- * @param {boolean} favorite - Favorite status
- * @param {string} review - Review text
- * @param {Array<string>} tags - Tags array
+ * Create an SVG element
+ * @param {string} name - Tag name
+ * @param {Object} attributes - Attributes to set
+ * @returns {SVGElement} Element
  */
-async function saveNewArticle(articleIndex, title, url, date, favorite, review, tags) {
-    if (articleIndex < 0 || articleIndex >= articles.length) {
-        console.error('Invalid article index');
-        return;
-    }
-    
-    // Validate required fields
-    if (!title.trim() || !url.trim()) {
-        alert('Title and URL are required for new articles');
-        return;
-    }
+function createSVGElement(name, attributes = {}) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+/**
+ * Create a titled dashboard panel
+ * @param {string} title - Panel heading
+ * @returns {HTMLElement} Panel element
+ */
+function createStatsPanel(title) {
+    const panel = document.createElement('section');
+    panel.className = 'stats-panel';
     
-    // Validate URL format
-    try {
-        new URL(url);
-    } catch (error) {
-        alert('Please enter a valid URL');
-        return;
-    }
+    const heading = document.createElement('h3');
+    heading.className = 'stats-panel-title';
+    heading.textContent = title;
+    panel.appendChild(heading);
     
-    // Validate date format
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-        alert('Please enter a valid date in YYYY-MM-DD format');
-        return;
-    }
+    return panel;
+}
+
+/**
+ * Create a column chart of counts per period
+ * @param {string} title - Chart heading
+ * @param {Array<Object>} bars - Bars { label, title, count }
+ * @param {Function} onSelect - Called with the clicked bar
+ * @returns {HTMLElement} Panel with the chart
+ */
+function createColumnChart(title, bars, onSelect) {
+    const panel = createStatsPanel(title);
+    const width = 600;
+    const height = 160;
+    const labelHeight = 20;
+    const barWidth = width / bars.length;
+    const max = Math.max(1, ...bars.map(bar => bar.count));
     
-    // Update the article with domain
-    articles[articleIndex].title = title;
-    articles[articleIndex].url = url;
-    articles[articleIndex].date = date;
-    articles[articleIndex].favorite = favorite;
-    articles[articleIndex].review = review;
-    articles[articleIndex].tags = tags || [];
-    articles[articleIndex].domain = new URL(url).hostname.replace('www.', '');
+    const svg = createSVGElement('svg', { class: 'stats-column-chart', viewBox: `0 0 ${width} ${height + labelHeight}`, role: 'img' });
+    // Label every bar when there's room, otherwise every few
+    const labelEvery = Math.ceil(bars.length / 12);
     
-    try {
-        // Convert to CSV and save
-        const csvContent = articlesToCSV(articles);
-        await saveCSV(csvContent);
-        
-        // Re-render the articles
-        renderArticles(articles);
+    bars.forEach((bar, i) => {
+        const barHeight = (bar.count / max) * height;
+        const rect = createSVGElement('rect', {
+            class: bar.count > 0 ? 'stats-bar' : 'stats-bar empty',
+            x: i * barWidth + 2,
+            y: height - barHeight,
+            width: Math.max(1, barWidth - 4),
+            height: Math.max(barHeight, 1)
+        });
+        const tooltip = createSVGElement('title');
+        tooltip.textContent = `${bar.title}: ${bar.count}`;
+        rect.appendChild(tooltip);
+        rect.addEventListener('click', () => onSelect(bar));
+        svg.appendChild(rect);
         
-        console.log('New article saved successfully');
-    } catch (error) {
-        console.error('Error saving new article:', error);
-        // Show error to user
-        alert('Error saving new article. Please try again.');
-    }
+        if (i % labelEvery === 0) {
+            const label = createSVGElement('text', {
+                class: 'stats-bar-label',
+                x: i * barWidth + barWidth / 2,
+                y: height + labelHeight - 5,
+                'text-anchor': 'middle'
+            });
+            label.textContent = bar.label;
+            svg.appendChild(label);
+        }
+    });
+    
+    panel.appendChild(svg);
+    return panel;
 }
 
 /**
- * Fetch and load articles from CSV file
+ * Create a ranked list of horizontal bars
+ * @param {string} title - Chart heading
+ * @param {Array<Object>} items - Items { label, count }
+ * @param {Function} onSelect - Called with the clicked item
+ * @returns {HTMLElement} Panel with the chart
  */
-async function loadArticles() {
-    const loadingElement = elements.loading();
-    const errorElement = elements.error();
+function createRankingChart(title, items, onSelect) {
+    const panel = createStatsPanel(title);
+    const max = Math.max(1, ...items.map(item => item.count));
     
-    try {
-        const response = await fetch('articles.csv');
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
+    if (items.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'stats-empty';
+        empty.textContent = 'Nothing yet';
+        panel.appendChild(empty);
+    }
+    
+    items.forEach(item => {
+        const row = document.createElement('button');
+        row.className = 'stats-ranking-row';
+        row.title = `${item.label}: ${item.count}`;
+        row.addEventListener('click', () => onSelect(item));
         
-        const csvText = await response.text();
-        articles = parseCSV(csvText);
+        const label = document.createElement('span');
+        label.className = 'stats-ranking-label';
+        label.textContent = item.label;
         
-        if (articles.length === 0) {
-            throw new Error('No valid articles found in CSV file');
-        }
+        const bar = document.createElement('span');
+        bar.className = 'stats-ranking-bar';
+        bar.style.width = `${(item.count / max) * 100}%`;
         
-        loadingElement.style.display = 'none';
-        renderArticles(articles);
+        const count = document.createElement('span');
+        count.className = 'stats-ranking-count';
+        count.textContent = item.count;
         
-    } catch (error) {
-        console.error('Error loading articles:', error);
-        showError(`Error loading articles: ${error.message}`);
+        row.appendChild(label);
+        row.appendChild(bar);
+        row.appendChild(count);
+        panel.appendChild(row);
+    });
+    
+    return panel;
+}
+
+/**
+ * Create a calendar heatmap of the year up to the newest article
+ * @param {Map<string, number>} days - Article count per YYYY-MM-DD date
+ * @param {Date} end - Last day shown
+ * @param {Function} onSelect - Called with the clicked date string
+ * @returns {HTMLElement} Panel with the heatmap
+ */
+function createCalendarHeatmap(days, end, onSelect) {
+    const panel = createStatsPanel('Calendar');
+    const cell = 12;
+    const gap = 2;
+    const weeks = 53;
+    const start = addDays(getWeekStart(end), -7 * (weeks - 1));
+    const max = Math.max(1, ...days.values());
+    
+    const svg = createSVGElement('svg', {
+        class: 'stats-heatmap',
+        viewBox: `0 0 ${weeks * (cell + gap)} ${7 * (cell + gap)}`,
+        role: 'img'
+    });
+    
+    for (let week = 0; week < weeks; week++) {
+        for (let weekday = 0; weekday < 7; weekday++) {
+            const date = addDays(start, week * 7 + weekday);
+            if (date > end) break;
+            
+            const key = toISODate(date);
+            const count = days.get(key) || 0;
+            // Four shades so a single busy day doesn't wash out the rest
+            const level = count === 0 ? 0 : Math.min(4, Math.ceil((count / max) * 4));
+            const rect = createSVGElement('rect', {
+                class: `stats-heatmap-day level-${level}`,
+                x: week * (cell + gap),
+                y: weekday * (cell + gap),
+                width: cell,
+                height: cell,
+                rx: 2
+            });
+            const tooltip = createSVGElement('title');
+            tooltip.textContent = `${formatDate(key)}: ${count}`;
+            rect.appendChild(tooltip);
+            if (count > 0) {
+                rect.addEventListener('click', () => onSelect(key));
+            }
+            svg.appendChild(rect);
+        }
     }
+    
+    panel.appendChild(svg);
+    return panel;
 }
 
 /**
- * Display error message
- * @param {string} message - Error message to display
+ * Create a headline number for the dashboard
+ * @param {string} label - What the number is
+ * @param {string|number} value - The number
+ * @returns {HTMLElement} Stat element
+ */
+function createStatCard(label, value) {
+    const card = document.createElement('div');
+    card.className = 'stats-card';
+    
+    const valueElement = document.createElement('div');
+    valueElement.className = 'stats-card-value';
+    valueElement.textContent = value;
+    
+    const labelElement = document.createElement('div');
+    labelElement.className = 'stats-card-label';
+    labelElement.textContent = label;
+    
+    card.appendChild(valueElement);
+    card.appendChild(labelElement);
+    return card;
+}
+
+/**
+ * Apply a filter picked on the dashboard and show the matching articles
+ * @param {Function} applyFilter - Changes the filter state
+ */
+function showStatsSelection(applyFilter) {
+    applyFilter();
+    setView('list');
+}
+
+/**
+ * Render the reading statistics dashboard
+ * @param {Array<Object>} list - Articles to summarize
+ */
+function renderStats(list) {
+    const container = elements.container();
+    const stats = computeReadingStats(list);
+    
+    elements.count().textContent = `${stats.total} articles read`;
+    container.innerHTML = '';
+    
+    const dashboard = document.createElement('div');
+    dashboard.className = 'stats-dashboard';
+    
+    const summary = document.createElement('div');
+    summary.className = 'stats-summary';
+    summary.appendChild(createStatCard('Articles read', stats.total));
+    summary.appendChild(createStatCard('Favorites', stats.total > 0 ? `${Math.round((stats.favorites / stats.total) * 100)}%` : '–'));
+    summary.appendChild(createStatCard('Current streak', `${stats.currentStreak} ${stats.currentStreak === 1 ? 'day' : 'days'}`));
+    summary.appendChild(createStatCard('Longest streak', `${stats.longestStreak} ${stats.longestStreak === 1 ? 'day' : 'days'}`));
+    dashboard.appendChild(summary);
+    
+    const selectPeriod = bar => showStatsSelection(() => setDateRange(bar.from, bar.to));
+    dashboard.appendChild(createColumnChart('Read per month', stats.months, selectPeriod));
+    dashboard.appendChild(createColumnChart('Read per week', stats.weeks, selectPeriod));
+    dashboard.appendChild(createCalendarHeatmap(stats.days, stats.end, date => {
+        showStatsSelection(() => setDateRange(date, date));
+    }));
+    
+    // Sites aren't tags, so they filter through the search box instead
+    dashboard.appendChild(createRankingChart('Top sites', stats.domains.map(([label, count]) => ({ label, count })), item => {
+        showStatsSelection(() => {
+            const searchInput = elements.search();
+            if (searchInput) searchInput.value = item.label;
+            setSearchQuery(item.label);
+        });
+    }));
+    dashboard.appendChild(createRankingChart('Top tags', stats.tags.map(([label, count]) => ({ label, count })), item => {
+        showStatsSelection(() => addTagFilter(item.label));
+    }));
+    dashboard.appendChild(createRankingChart('Tags read together', stats.pairs.map(([tags, count]) => ({
+        label: tags.join(' + '),
+        tags,
+        count
+    })), item => {
+        showStatsSelection(() => {
+            setFilterMatchMode('all');
+            item.tags.forEach(tag => addTagFilter(tag));
+        });
+    }));
+    
+    container.appendChild(dashboard);
+}
+
+/**
+ * Get the card elements in the order they're shown
+ * @returns {Array<HTMLElement>} Article elements
+ */
+function getShownArticleElements() {
+    return Array.from(elements.container().querySelectorAll('.article-item'));
+}
+
+/**
+ * Get the card picked with the keyboard, if it's still shown
+ * @returns {HTMLElement|null} Article element
+ */
+function getFocusedArticleElement() {
+    return getShownArticleElements().find(element => element.dataset.id === focusedArticleId) || null;
+}
+
+/**
+ * Move the keyboard focus to another card
+ * @param {number} step - 1 for the next card, -1 for the previous one
  */
-function showError(message) {
-    const loadingElement = elements.loading();
-    const errorElement = elements.error();
+function moveArticleFocus(step) {
+    const shown = getShownArticleElements();
+    if (shown.length === 0) return;
     
-    loadingElement.style.display = 'none';
-    errorElement.style.display = 'block';
-    errorElement.textContent = message;
+    const current = shown.findIndex(element => element.dataset.id === focusedArticleId);
+    // Start from the top (or bottom) when nothing is focused yet
+    const next = current === -1
+        ? (step > 0 ? 0 : shown.length - 1)
+        : Math.min(shown.length - 1, Math.max(0, current + step));
+    
+    shown.forEach((element, i) => element.classList.toggle('keyboard-focus', i === next));
+    focusedArticleId = shown[next].dataset.id;
+    shown[next].scrollIntoView({ block: 'nearest' });
 }
 
 /**
- * Add a tag to the current filters
- * @param {string} tag - Tag to add to filters
+ * Open an article's link in a new tab
+ * @param {string} articleId - Id of the article
  */
-function addTagFilter(tag) {
-    if (!currentFilters.includes(tag)) {
-        currentFilters.push(tag);
-        updateFilterDisplay();
-        applyFilters();
+function openArticle(articleId) {
+    const article = findArticle(articleId);
+    if (article && article.url) {
+        window.open(article.url, '_blank', 'noopener');
     }
 }
 
 /**
- * Remove a tag from the current filters
- * @param {string} tag - Tag to remove from filters
+ * Edit the card picked with the keyboard
  */
-function removeTagFilter(tag) {
-    const index = currentFilters.indexOf(tag);
-    if (index > -1) {
-        currentFilters.splice(index, 1);
-        updateFilterDisplay();
-        applyFilters();
+function editFocusedArticle() {
+    const element = getFocusedArticleElement();
+    if (element && !element.classList.contains('editing')) {
+        enterEditMode(element.dataset.id, element);
     }
 }
 
 /**
- * Clear all current filters
+ * Handle single-key shortcuts: j/k to move, Enter to open, e to edit, f to favorite,
+ * n for a new article, / to search, and Ctrl/Cmd+K for the command palette
+ * @param {KeyboardEvent} e - Keydown event
  */
-function clearAllFilters() {
-    currentFilters = [];
-    updateFilterDisplay();
-    applyFilters();
+function handleNavigationKey(e) {
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        openCommandPalette();
+        return;
+    }
+    
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    
+    // Leave typing, buttons, open editors and the palette alone
+    const target = e.target;
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON', 'A'].includes(target.tagName)) return;
+    if (document.getElementById('command-palette') || elements.container().querySelector('.article-item.editing')) return;
+    
+    const actions = {
+        j: () => moveArticleFocus(1),
+        k: () => moveArticleFocus(-1),
+        Enter: () => focusedArticleId && openArticle(focusedArticleId),
+        e: editFocusedArticle,
+        f: () => getFocusedArticleElement() && toggleFavorite(focusedArticleId),
+        n: createNewArticle,
+        '/': () => elements.search() && elements.search().focus()
+    };
+    
+    if (actions[e.key]) {
+        e.preventDefault();
+        actions[e.key]();
+    }
 }
 
 /**
- * Update the filter display UI
+ * Score how well a query fuzzily matches a label
+ * Every query character must appear in order; runs of adjacent characters and
+ * matches at the start of words score higher.
+ * @param {string} query - Text typed into the palette
+ * @param {string} label - Command label
+ * @returns {number|null} Score, higher is better, or null when it doesn't match
  */
-function updateFilterDisplay() {
-    const filterContainer = elements.filterContainer();
-    const filterTags = elements.filterTags();
+function fuzzyScore(query, label) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = label.toLowerCase();
+    let score = 0;
+    let position = -1;
     
-    if (currentFilters.length === 0) {
-        filterContainer.classList.remove('active');
-        return;
+    for (const char of needle) {
+        const found = haystack.indexOf(char, position + 1);
+        if (found === -1) return null;
+        
+        if (found === position + 1) score += 3;
+        if (found === 0 || /[\s#/:(-]/.test(haystack[found - 1])) score += 2;
+        score += 1;
+        position = found;
     }
     
-    filterContainer.classList.add('active');
-    filterTags.innerHTML = '';
-    
-    currentFilters.forEach(tag => {
-        const filterTag = document.createElement('div');
-        filterTag.className = 'filter-tag';
-        
-        const tagText = document.createElement('span');
-        tagText.textContent = tag;
-        
-        const removeButton = document.createElement('button');
-        removeButton.className = 'filter-tag-remove';
-        removeButton.textContent = '×';
-        removeButton.title = `Remove ${tag} filter`;
-        removeButton.addEventListener('click', () => removeTagFilter(tag));
-        
-        filterTag.appendChild(tagText);
-        filterTag.appendChild(removeButton);
-        filterTags.appendChild(filterTag);
-    });
+    // Prefer shorter labels when the matches are equally good
+    return score - haystack.length / 100;
 }
 
 /**
- * Apply current filters to articles
+ * Change a toolbar select as if the user had picked the value
+ * @param {string} className - Class of the select element
+ * @param {string} value - Value to pick
  */
-function applyFilters() {
-    if (currentFilters.length === 0) {
-        renderArticles(articles);
-        updateTagHighlighting([]);
-        return;
+function pickSelectValue(className, value) {
+    const select = document.querySelector(`.${className}`);
+    if (select) {
+        select.value = value;
+        select.dispatchEvent(new Event('change'));
     }
+}
+
+/**
+ * List every action the command palette offers
+ * @returns {Array<Object>} Commands { label, hint, run }
+ */
+function getPaletteCommands() {
+    const commands = [
+        { label: 'New article', hint: 'n', run: createNewArticle },
+        { label: 'Search', hint: '/', run: () => elements.search() && elements.search().focus() },
+        { label: 'Undo', hint: 'Ctrl+Z', run: undoLastCommand },
+        { label: 'Redo', hint: 'Ctrl+Shift+Z', run: redoLastCommand },
+        { label: 'Import…', run: () => document.getElementById('import-button').click() },
+        { label: 'Clear all filters', run: clearAllFilters },
+        { label: 'Match all filter tags', run: () => setFilterMatchMode('all') },
+        { label: 'Match any filter tag', run: () => setFilterMatchMode('any') },
+        { label: 'Save filters as preset…', run: saveFilterPreset },
+        { label: selectionMode ? 'Stop selecting' : 'Select articles', run: () => setSelectionMode(!selectionMode) },
+        { label: 'Select all shown articles', run: () => {
+            if (!selectionMode) setSelectionMode(true);
+            selectAllFiltered();
+        } },
+        { label: 'View: List', run: () => setView('list') },
+        ...Object.entries(VIEW_LABELS).map(([view, label]) => ({ label: `View: ${label}`, run: () => setView(view) })),
+        ...Object.entries(SORT_OPTIONS).map(([sort, label]) => ({ label: `Sort: ${label}`, run: () => pickSelectValue('sort-select', sort) })),
+        ...Object.entries(GROUP_OPTIONS).map(([group, label]) => ({ label: `Group: ${label}`, run: () => pickSelectValue('group-select', group) })),
+        ...Object.entries(DENSITY_OPTIONS).map(([density, label]) => ({ label: `Density: ${label}`, run: () => pickSelectValue('density-select', density) })),
+        ...Object.entries(STATUS_OPTIONS).map(([status, label]) => ({
+            label: `${statusFilters.has(status) ? 'Hide' : 'Show only'} status: ${label}`,
+            run: () => toggleStatusFilter(status)
+        })),
+        ...Object.entries(RATING_FILTER_OPTIONS).map(([rating, label]) => ({ label: `Rating: ${label}`, run: () => pickSelectValue('rating-filter-select', rating) })),
+        ...Object.entries(DATE_RANGE_PRESETS).map(([preset, label]) => ({
+            label: `Date: ${label}`,
+            run: () => {
+                const { from, to } = getPresetDateRange(preset);
+                setDateRange(from, to);
+            }
+        })),
+        ...Object.entries(EXPORT_FORMATS).map(([format, label]) => ({ label: `Export as ${label}`, run: () => exportArticles(format) })),
+        ...Object.keys(loadFilterPresets()).map(name => ({ label: `Load preset: ${name}`, run: () => loadFilterPreset(name) })),
+        ...collectTagCounts().filter(({ count }) => count > 0).flatMap(({ tag, count }) => [
+            { label: `Filter by tag: ${tag}`, hint: String(count), run: () => addTagFilter(tag) },
+            { label: `Exclude tag: ${tag}`, run: () => addTagFilter(tag, true) }
+        ])
+    ];
     
-    // Filter articles that contain ALL selected tags
-    const filteredArticles = articles.filter(article => {
-        if (!article.tags || article.tags.length === 0) {
-            return false;
-        }
-        
-        // Check if article has all selected tags
-        return currentFilters.every(filterTag => 
-            article.tags.includes(filterTag)
+    const focused = getFocusedArticleElement();
+    if (focused) {
+        const id = focused.dataset.id;
+        const article = findArticle(id);
+        commands.unshift(
+            { label: 'Open focused article', hint: 'Enter', run: () => openArticle(id) },
+            { label: 'Edit focused article', hint: 'e', run: editFocusedArticle },
+            { label: article.favorite ? 'Unfavorite focused article' : 'Favorite focused article', hint: 'f', run: () => toggleFavorite(id) },
+            { label: article.archived ? 'Restore focused article' : 'Archive focused article', run: () => setArticleArchived(id, !article.archived) },
+            { label: 'Delete focused article', run: () => confirmDeleteArticle(article) && deleteArticle(id) }
         );
+    }
+    
+    // Every saved article can be jumped to by title
+    articles.filter(article => isSavedArticle(article) && article.title).forEach(article => {
+        commands.push({ label: `Go to: ${article.title}`, hint: article.domain, run: () => jumpToArticle(article.id) });
     });
     
-    renderArticles(filteredArticles);
-    updateTagHighlighting(currentFilters);
+    return commands;
 }
 
 /**
- * Update tag highlighting across all articles
- * @param {Array<string>} activeTags - Tags to highlight
+ * Show the palette commands matching a query
+ * @param {HTMLElement} list - Result list element
+ * @param {Array<Object>} commands - Commands from getPaletteCommands
+ * @param {string} query - Text typed into the palette
+ * @returns {Array<Object>} The commands shown, in list order
  */
-function updateTagHighlighting(activeTags) {
-    const allTagChips = document.querySelectorAll('.tag-chip');
+function renderPaletteResults(list, commands, query) {
+    const matches = query.trim()
+        ? commands
+            .map(command => ({ command, score: fuzzyScore(query, command.label) }))
+            .filter(match => match.score !== null)
+            .sort((a, b) => b.score - a.score)
+            .map(match => match.command)
+        : commands;
     
-    allTagChips.forEach(chip => {
-        if (activeTags.includes(chip.textContent)) {
-            chip.classList.add('active');
-        } else {
-            chip.classList.remove('active');
+    const shown = matches.slice(0, PALETTE_RESULT_LIMIT);
+    list.innerHTML = '';
+    shown.forEach((command, i) => {
+        const item = document.createElement('li');
+        item.className = i === 0 ? 'command-palette-item active' : 'command-palette-item';
+        item.setAttribute('role', 'option');
+        
+        const label = document.createElement('span');
+        label.className = 'command-palette-label';
+        label.textContent = command.label;
+        item.appendChild(label);
+        
+        if (command.hint) {
+            const hint = document.createElement('span');
+            hint.className = 'command-palette-hint';
+            hint.textContent = command.hint;
+            item.appendChild(hint);
         }
+        
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            runPaletteCommand(command);
+        });
+        list.appendChild(item);
     });
+    
+    return shown;
 }
 
 /**
- * Handle tag chip click
- * @param {string} tag - Tag that was clicked
+ * Close the palette and run a command
+ * @param {Object} command - Command from getPaletteCommands
  */
-function handleTagClick(tag) {
-    if (currentFilters.includes(tag)) {
-        // If tag is already filtered, remove it
-        removeTagFilter(tag);
-    } else {
-        // Add tag to filters
-        addTagFilter(tag);
-    }
+function runPaletteCommand(command) {
+    closeCommandPalette();
+    command.run();
 }
 
 /**
- * Render articles to the DOM
- * @param {Array<Object>} articles - Array of article objects
+ * Close the command palette
  */
-function renderArticles(articles) {
-    const container = elements.container();
-    const countElement = elements.count();
-    
-    // Update article count
-    countElement.textContent = `${articles.length} articles`;
-    
-    // Clear container and render articles
-    container.innerHTML = '';
-    
-    articles.forEach((article, index) => {
-        const articleElement = createArticleElement(article, index);
-        container.appendChild(articleElement);
-    });
+function closeCommandPalette() {
+    const palette = document.getElementById('command-palette');
+    if (palette) palette.remove();
 }
 
 /**
- * Create a single article DOM element
- * @param {Object} article - Article object with title, url, date, favorite, and review
- * @param {number} index - Index of the article in the articles array
- * @returns {HTMLElement} Article DOM element
+ * Open the command palette with every action, filtered as you type
  */
-function createArticleElement(article, index) {
-    const articleElement = document.createElement('div');
-    articleElement.className = 'article-item';
-    
-    // Create edit trigger area (invisible, top-right corner)
-    const editTrigger = document.createElement('div');
-    editTrigger.className = 'article-edit-trigger';
-    editTrigger.addEventListener('dblclick', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        enterEditMode(index, articleElement);
-    });
-    
-    // Create date row with optional star
-    const dateRow = document.createElement('div');
-    dateRow.className = 'article-date-row';
-    
-    // Add star if favorited
-    if (article.favorite) {
-        const starElement = document.createElement('span');
-        starElement.className = 'article-favorite-star';
-        starElement.textContent = 'star';
-        dateRow.appendChild(starElement);
-    }
-    
-    const dateElement = document.createElement('div');
-    dateElement.className = 'article-date';
-    dateElement.textContent = formatDate(article.date);
-    dateRow.appendChild(dateElement);
-    
-    // Create title link (only if article has title and URL)
-    let linkElement = null;
-    if (article.title && article.url) {
-        linkElement = document.createElement('a');
-        linkElement.href = article.url;
-        linkElement.target = '_blank';
-        linkElement.rel = 'noopener noreferrer';
-        linkElement.className = 'article-title-link';
-        linkElement.textContent = article.title;
-    } else {
-        // For new/empty articles, show placeholder text
-        linkElement = document.createElement('div');
-        linkElement.className = 'article-title-placeholder';
-        linkElement.textContent = 'New Article - Click to edit';
-    }
-    
-    // Create review display (only if review exists)
-    let reviewElement = null;
-    if (article.review && article.review.trim()) {
-        reviewElement = document.createElement('div');
-        reviewElement.className = 'article-review';
-        reviewElement.textContent = article.review;
-    }
-    
-    // Create tags display (only if tags exist)
-    let tagsElement = null;
-    if (article.tags && article.tags.length > 0) {
-        tagsElement = document.createElement('div');
-        tagsElement.className = 'article-tags';
-        
-        article.tags.forEach(tag => {
-            const chip = document.createElement('span');
-            chip.className = 'tag-chip';
-            chip.textContent = tag;
-            chip.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                handleTagClick(tag);
-            });
-            tagsElement.appendChild(chip);
-        });
+function openCommandPalette() {
+    if (document.getElementById('command-palette')) {
+        document.querySelector('.command-palette-input').focus();
+        return;
     }
     
-    // Create edit container (hidden by default)
-    const editContainer = document.createElement('div');
-    editContainer.className = 'article-edit-container';
-    
-    // Create edit controls row
-    const editControls = document.createElement('div');
-    editControls.className = 'article-edit-controls';
-    
-    // Create date input
-    const dateInput = document.createElement('input');
-    dateInput.type = 'date';
-    dateInput.className = 'article-date-input';
-    
-    // Create favorite toggle
-    const favoriteContainer = document.createElement('div');
-    favoriteContainer.className = 'favorite-toggle-container';
-    
-    const favoriteLabel = document.createElement('span');
-    favoriteLabel.className = 'favorite-toggle-label';
-    favoriteLabel.textContent = 'Favorite';
-    
-    const favoriteToggle = document.createElement('label');
-    favoriteToggle.className = 'favorite-toggle';
-    
-    const favoriteCheckbox = document.createElement('input');
-    favoriteCheckbox.type = 'checkbox';
-    favoriteCheckbox.className = 'favorite-checkbox';
-    
-    const favoriteSlider = document.createElement('span');
-    favoriteSlider.className = 'favorite-slider';
-    
-    favoriteToggle.appendChild(favoriteCheckbox);
-    favoriteToggle.appendChild(favoriteSlider);
-    
-    favoriteContainer.appendChild(favoriteLabel);
-    favoriteContainer.appendChild(favoriteToggle);
-    
-    editControls.appendChild(dateInput);
-    editControls.appendChild(favoriteContainer);
-    
-    // Create URL input (for new articles)
-    const urlInput = document.createElement('input');
-    urlInput.type = 'url';
-    urlInput.className = 'article-url-input';
-    urlInput.placeholder = 'https://example.com';
+    const commands = getPaletteCommands();
     
-    // Create textarea for editing title
-    const titleInput = document.createElement('textarea');
-    titleInput.className = 'article-title-input';
-    titleInput.placeholder = 'Enter article title...';
-    titleInput.rows = 1;
+    const palette = document.createElement('div');
+    palette.id = 'command-palette';
+    palette.className = 'command-palette';
+    palette.addEventListener('mousedown', (e) => {
+        // Clicking the backdrop closes the palette
+        if (e.target === palette) closeCommandPalette();
+    });
     
-    // Create textarea for editing review
-    const reviewInput = document.createElement('textarea');
-    reviewInput.className = 'article-review-input';
-    reviewInput.placeholder = 'Add your review or thoughts about this article...';
-    reviewInput.rows = 3;
+    const dialog = document.createElement('div');
+    dialog.className = 'command-palette-dialog';
+    dialog.setAttribute('role', 'dialog');
     
-    // Create tags input container
-    const tagsContainer = document.createElement('div');
-    tagsContainer.className = 'article-tags-container';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'command-palette-input';
+    input.placeholder = 'Type a command, tag or article title...';
+    input.autocomplete = 'off';
     
-    editContainer.appendChild(editControls);
-    editContainer.appendChild(urlInput);
-    editContainer.appendChild(titleInput);
-    editContainer.appendChild(reviewInput);
-    editContainer.appendChild(tagsContainer);
+    const list = document.createElement('ul');
+    list.className = 'command-palette-results';
+    list.setAttribute('role', 'listbox');
     
-    // Create save button
-    const saveButton = document.createElement('button');
-    saveButton.className = 'save-button';
-    saveButton.title = 'Save changes';
+    let shown = [];
+    input.addEventListener('input', () => {
+        shown = renderPaletteResults(list, commands, input.value);
+    });
+    input.addEventListener('keydown', (e) => {
+        const items = Array.from(list.children);
+        const activeIndex = items.findIndex(item => item.classList.contains('active'));
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (items.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const next = (activeIndex + step + items.length) % items.length;
+            items.forEach((item, i) => item.classList.toggle('active', i === next));
+            items[next].scrollIntoView({ block: 'nearest' });
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (activeIndex >= 0) runPaletteCommand(shown[activeIndex]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            closeCommandPalette();
+        }
+    });
+    input.addEventListener('blur', closeCommandPalette);
     
-    // Assemble the article
-    articleElement.appendChild(editTrigger);
-    articleElement.appendChild(dateRow);
-    articleElement.appendChild(linkElement);
-    if (reviewElement) {
-        articleElement.appendChild(reviewElement);
-    }
-    if (tagsElement) {
-        articleElement.appendChild(tagsElement);
-    }
-    articleElement.appendChild(editContainer);
-    articleElement.appendChild(saveButton);
+    dialog.appendChild(input);
+    dialog.appendChild(list);
+    palette.appendChild(dialog);
+    document.body.appendChild(palette);
     
-    return articleElement;
+    shown = renderPaletteResults(list, commands, '');
+    input.focus();
 }
 
 /**
  * Initialize the application
  */
 function initializeApp() {
+    setupSearch();
+    setupSortControls();
+    setupViewControls();
+    setupDateRangeControls();
+    setupHistoryControls();
+    setupSync();
+    setupImport();
+    setupExport();
+    setupBulkSelection();
+    setupFeedLink();
     loadArticles();
     
     // Add event listener for the add button
@@ -900,6 +6424,15 @@ function initializeApp() {
     if (filterClearAll) {
         filterClearAll.addEventListener('click', clearAllFilters);
     }
+    
+    // Show saved presets in the filter bar straight away
+    updateFilterDisplay();
+    
+    // Undo/redo keyboard shortcuts
+    document.addEventListener('keydown', handleHistoryShortcut);
+    
+    // Card navigation and the command palette
+    document.addEventListener('keydown', handleNavigationKey);
 }
 
 // Start the application when DOM is ready
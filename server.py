@@ -1,72 +1,1021 @@
 #!/usr/bin/env python3
 """
 Simple HTTP server for the Reading Archive application.
-Handles both static file serving and CSV updates.
+Handles static file serving and a JSON API for reading and editing articles.
+articles.csv is only the storage format; clients go through /api/articles.
 """
 
+import http.client
 import http.server
-import socketserver
+import csv
+import datetime
+import hashlib
+import html.parser
+import io
+import ipaddress
 import json
+import re
+import socket
+import threading
+import urllib.error
 import urllib.parse
+import urllib.request
+import uuid
+import xml.etree.ElementTree as ET
 from pathlib import Path
 import os
 
+CSV_FILE = 'articles.csv'
+
+# Requests are served on separate threads; hold this while reading and rewriting the CSV
+# so concurrent saves don't overwrite each other
+ARTICLES_LOCK = threading.RLock()
+
+# Optional columns filled from the article page by /api/metadata
+METADATA_COLUMNS = ['author', 'published', 'site_name', 'image', 'excerpt']
+
+# Columns written to articles.csv, in order
+CSV_COLUMNS = ['id', 'title', 'url', 'date', 'favorite', 'review', 'tags', 'archived',
+               'status', 'started', 'finished', 'rating', 'highlights'] + METADATA_COLUMNS
+BOOLEAN_COLUMNS = {'favorite', 'archived'}
+
+# Reading statuses; rows from before statuses existed count as finished
+STATUS_VALUES = ('queued', 'in-progress', 'finished', 'abandoned')
+DEFAULT_STATUS = 'finished'
+
+# Ratings run from 1 to MAX_RATING stars; 0 means unrated
+MAX_RATING = 5
+
+ARTICLE_PATH = re.compile(r'^/api/articles/([A-Za-z0-9_-]+)$')
+ID_PATTERN = re.compile(r'^[A-Za-z0-9_-]{1,64}$')
+DATE_PATTERN = re.compile(r'^\d{4}-\d{2}-\d{2}$')
+
+# Feeds of the reading list; add ?tag=design for a single tag
+ATOM_FEED_PATH = '/feeds/atom.xml'
+JSON_FEED_PATH = '/feeds/feed.json'
+FEED_TITLE = 'Reading Archive'
+FEED_LIMIT = 50
+# Feed and entry ids start with this URL, so set READING_ARCHIVE_URL to the address feed
+# readers use, e.g. https://reading.example.com; defaults to http://localhost:<port>
+FEED_BASE_URL = os.environ.get('READING_ARCHIVE_URL', '').rstrip('/')
+
+METADATA_TIMEOUT = 10
+METADATA_MAX_BYTES = 1024 * 1024
+METADATA_USER_AGENT = 'Mozilla/5.0 (compatible; ReadingArchive/1.0)'
+
+
+def read_csv_bytes():
+    """Read the current CSV file, or empty bytes if it doesn't exist yet."""
+    try:
+        with open(CSV_FILE, 'rb') as f:
+            return f.read()
+    except FileNotFoundError:
+        return b''
+
+
+def write_csv_bytes(content):
+    """Replace the CSV file atomically so readers never see a half-written file."""
+    temp_path = CSV_FILE + '.tmp'
+    with open(temp_path, 'wb') as f:
+        f.write(content)
+    os.replace(temp_path, CSV_FILE)
+
+
+def generate_article_id(taken_ids):
+    """Generate an article id that isn't in taken_ids."""
+    while True:
+        article_id = uuid.uuid4().hex[:14]
+        if article_id not in taken_ids:
+            return article_id
+
+
+def parse_rating(value):
+    """Read a rating from a CSV field, 0 when it's empty or out of range."""
+    try:
+        rating = int(value)
+    except ValueError:
+        return 0
+    return rating if 1 <= rating <= MAX_RATING else 0
+
+
+def normalize_highlight(highlight):
+    """Bring a highlight into {'quote', 'note', 'location'} form, or None if it has no quote.
+
+    Plain strings are highlights saved before notes and locations existed.
+    """
+    if isinstance(highlight, str):
+        highlight = {'quote': highlight}
+    if not isinstance(highlight, dict):
+        return None
+
+    def text(key):
+        value = highlight.get(key, '')
+        return value.strip() if isinstance(value, str) else ''
+
+    quote = text('quote')
+    return {'quote': quote, 'note': text('note'), 'location': text('location')} if quote else None
+
+
+def parse_highlights(value):
+    """Read the JSON list of highlights from a CSV field."""
+    if not value:
+        return []
+    try:
+        highlights = json.loads(value)
+    except json.JSONDecodeError:
+        # A hand-edited field that isn't JSON is kept as a single highlight
+        highlights = [value]
+    if not isinstance(highlights, list):
+        return []
+    return [highlight for highlight in map(normalize_highlight, highlights) if highlight]
+
+
+def parse_articles(text):
+    """Parse CSV text into article dicts.
+
+    Returns (articles, skipped, migrated) where skipped lists {'line', 'reason'} for rows
+    that couldn't be read and migrated is True when rows had to be given a new id.
+    Each skipped row also keeps its 'text', its 'id' if it has one and the id of the
+    article it came 'after', so saving can write it back where it was.
+    """
+    lines = io.StringIO(text.lstrip('\ufeff'), newline='').readlines()
+    reader = csv.reader(lines, skipinitialspace=True)
+    articles = []
+    skipped = []
+    seen_ids = set()
+    migrated = False
+
+    try:
+        header = [name.strip().lower() for name in next(reader)]
+    except StopIteration:
+        return articles, skipped, migrated
+
+    def skip(row_line, fields, reason):
+        row_text = ''.join(lines[row_line - 1:reader.line_num]).rstrip('\r\n')
+        if len(fields) == len(header) and header != CSV_COLUMNS:
+            # Files from before a column was added are rewritten in the current column order
+            row = dict(zip(header, fields))
+            row_text = ','.join(escape_csv_field(row.get(column, '')) for column in CSV_COLUMNS)
+        row_id = fields[header.index('id')].strip() if 'id' in header and header.index('id') < len(fields) else ''
+        if ID_PATTERN.match(row_id):
+            seen_ids.add(row_id)
+        skipped.append({
+            'line': row_line,
+            'reason': reason,
+            'id': row_id if ID_PATTERN.match(row_id) else None,
+            'text': row_text,
+            'after': articles[-1]['id'] if articles else None
+        })
+
+    line = reader.line_num + 1
+    for fields in reader:
+        row_line, line = line, reader.line_num + 1
+        if not fields:
+            continue
+        if len(fields) != len(header):
+            skip(row_line, fields, f'expected {len(header)} fields but found {len(fields)}')
+            continue
+
+        row = dict(zip(header, fields))
+        article, errors = validate_article({
+            'title': row.get('title', ''),
+            'url': row.get('url', ''),
+            'date': row.get('date', ''),
+            'favorite': row.get('favorite') == 'true',
+            'review': row.get('review', ''),
+            'tags': [tag.strip() for tag in row.get('tags', '').split(',') if tag.strip()],
+            'archived': row.get('archived') == 'true',
+            'status': row.get('status') or DEFAULT_STATUS,
+            'started': row.get('started', ''),
+            'finished': row.get('finished', ''),
+            'rating': parse_rating(row.get('rating', '')),
+            'highlights': parse_highlights(row.get('highlights', '')),
+            **{column: row.get(column, '') for column in METADATA_COLUMNS}
+        })
+        if errors:
+            skip(row_line, fields, '; '.join(errors.values()))
+            continue
+
+        article_id = row.get('id', '').strip()
+        if not article_id or article_id in seen_ids:
+            article_id = generate_article_id(seen_ids)
+            migrated = True
+        seen_ids.add(article_id)
+
+        articles.append({'id': article_id, **article})
+
+    return articles, skipped, migrated
+
+
+def escape_csv_field(value):
+    """Quote a value for CSV output, doubling any embedded quotes."""
+    return '"' + str(value).replace('"', '""') + '"'
+
+
+def serialize_article(article):
+    """Serialize one article as a CSV row."""
+    values = dict(article)
+    for column in BOOLEAN_COLUMNS:
+        values[column] = 'true' if article.get(column) else 'false'
+    values['tags'] = ','.join(article.get('tags', []))
+    values['rating'] = article.get('rating') or ''
+    # Highlights can contain commas and newlines, so they are stored as JSON
+    values['highlights'] = json.dumps(article['highlights']) if article.get('highlights') else ''
+    return ','.join(escape_csv_field(values.get(column, '')) for column in CSV_COLUMNS)
+
+
+def serialize_articles(articles, skipped=()):
+    """Serialize articles in the same format the browser client writes.
+
+    Skipped rows from parse_articles are written back as they were, after the article
+    they followed, or at the end once that article is gone.
+    """
+    unreadable = {}
+    for row in skipped:
+        unreadable.setdefault(row['after'], []).append(row['text'])
+
+    rows = [','.join(CSV_COLUMNS)] + unreadable.pop(None, [])
+    for article in articles:
+        rows.append(serialize_article(article))
+        rows.extend(unreadable.pop(article['id'], []))
+    for texts in unreadable.values():
+        rows.extend(texts)
+    return '\n'.join(rows)
+
+
+def article_version(article):
+    """Return the version of one article, used for If-Match on updates."""
+    return '"' + hashlib.sha256(serialize_article(article).encode('utf-8')).hexdigest()[:16] + '"'
+
+
+def load_articles():
+    """Load articles from the CSV file, writing back any ids that had to be assigned.
+
+    Returns (articles, skipped). Skipped rows are kept as they are when the file is
+    written back; pass them on to save_articles.
+    """
+    with ARTICLES_LOCK:
+        articles, skipped, migrated = parse_articles(read_csv_bytes().decode('utf-8'))
+        for row in skipped:
+            print(f"Skipped {CSV_FILE} line {row['line']}: {row['reason']}")
+        if migrated:
+            print(f"Assigning ids to articles in {CSV_FILE}")
+            save_articles(articles, skipped)
+    return articles, skipped
+
+
+def save_articles(articles, skipped=()):
+    """Write articles to the CSV file, keeping any rows that couldn't be read."""
+    write_csv_bytes(serialize_articles(articles, skipped).encode('utf-8'))
+
+
+def skipped_to_json(skipped):
+    """Describe skipped rows for API responses."""
+    return [{'line': row['line'], 'reason': row['reason']} for row in skipped]
+
+
+def is_http_url(value):
+    """Return True for an absolute http or https URL."""
+    return urllib.parse.urlparse(value).scheme in ('http', 'https')
+
+
+def validate_article(data):
+    """Validate and normalize article fields from a request body or CSV row.
+
+    Returns (article, errors) where errors maps field names to messages.
+    """
+    errors = {}
+    if not isinstance(data, dict):
+        return None, {'article': 'article must be an object'}
+
+    title = data.get('title', '')
+    if not isinstance(title, str) or not title.strip():
+        errors['title'] = 'title is required'
+
+    url = data.get('url', '')
+    parsed_url = urllib.parse.urlparse(url.strip()) if isinstance(url, str) else None
+    if not parsed_url or parsed_url.scheme not in ('http', 'https') or not parsed_url.netloc:
+        errors['url'] = f'invalid URL "{url}"'
+
+    date = data.get('date', '')
+    try:
+        if not isinstance(date, str) or not DATE_PATTERN.match(date):
+            raise ValueError
+        datetime.date.fromisoformat(date)
+    except ValueError:
+        errors['date'] = f'invalid date "{date}", expected YYYY-MM-DD'
+
+    review = data.get('review', '')
+    if not isinstance(review, str):
+        errors['review'] = 'review must be a string'
+
+    tags = data.get('tags', [])
+    if not isinstance(tags, list) or not all(isinstance(tag, str) and ',' not in tag for tag in tags):
+        errors['tags'] = 'tags must be a list of strings without commas'
+
+    for column in BOOLEAN_COLUMNS:
+        if not isinstance(data.get(column, False), bool):
+            errors[column] = f'{column} must be true or false'
+
+    rating = data.get('rating', 0)
+    if isinstance(rating, bool) or not isinstance(rating, int) or not 0 <= rating <= MAX_RATING:
+        errors['rating'] = f'rating must be a whole number from 0 to {MAX_RATING}'
+
+    highlights = data.get('highlights', [])
+    if not isinstance(highlights, list) or not all(
+        isinstance(highlight, str) or (
+            isinstance(highlight, dict)
+            and all(isinstance(highlight.get(key, ''), str) for key in ('quote', 'note', 'location'))
+        )
+        for highlight in highlights
+    ):
+        errors['highlights'] = 'highlights must be a list of {quote, note, location} objects'
+
+    status = data.get('status') or DEFAULT_STATUS
+    if status not in STATUS_VALUES:
+        errors['status'] = f'status must be one of {", ".join(STATUS_VALUES)}'
+
+    for column in METADATA_COLUMNS + ['started', 'finished']:
+        if not isinstance(data.get(column, ''), str):
+            errors[column] = f'{column} must be a string'
+
+    # Optional dates may be empty but must be real dates otherwise
+    for column in ('published', 'started', 'finished'):
+        value = data.get(column, '')
+        if value and column not in errors:
+            try:
+                if not DATE_PATTERN.match(value):
+                    raise ValueError
+                datetime.date.fromisoformat(value)
+            except ValueError:
+                errors[column] = f'invalid {column} date "{value}", expected YYYY-MM-DD'
+
+    image = data.get('image', '')
+    if image and 'image' not in errors and not is_http_url(image):
+        errors['image'] = f'invalid image URL "{image}"'
+
+    if errors:
+        return None, errors
+
+    return {
+        'title': title,
+        'url': url,
+        'date': date,
+        'favorite': data.get('favorite', False),
+        'review': review,
+        'tags': [tag.strip() for tag in tags if tag.strip()],
+        'archived': data.get('archived', False),
+        'status': status,
+        'started': data.get('started', ''),
+        'finished': data.get('finished', ''),
+        'rating': rating,
+        'highlights': [highlight for highlight in map(normalize_highlight, highlights) if highlight],
+        **{column: data.get(column, '').strip() for column in METADATA_COLUMNS}
+    }, {}
+
+
+class MetadataParser(html.parser.HTMLParser):
+    """Collect the <title>, <meta> tags and JSON-LD blocks of an HTML page."""
+
+    def __init__(self):
+        super().__init__(convert_charrefs=True)
+        self.title = ''
+        self.meta = {}
+        self.json_ld = []
+        self._capture = None
+        self._text = []
+
+    def handle_starttag(self, tag, attrs):
+        attrs = {name.lower(): value or '' for name, value in attrs}
+        if tag == 'meta':
+            name = (attrs.get('property') or attrs.get('name') or attrs.get('itemprop') or '').lower()
+            # The first value wins, like most link previews
+            if name and attrs.get('content') and name not in self.meta:
+                self.meta[name] = attrs['content'].strip()
+        elif tag == 'title' and not self.title:
+            self._capture, self._text = 'title', []
+        elif tag == 'script' and attrs.get('type', '').lower() == 'application/ld+json':
+            self._capture, self._text = 'json_ld', []
+
+    def handle_data(self, data):
+        if self._capture:
+            self._text.append(data)
+
+    def handle_endtag(self, tag):
+        if self._capture == 'title' and tag == 'title':
+            self.title = ' '.join(''.join(self._text).split())
+            self._capture = None
+        elif self._capture == 'json_ld' and tag == 'script':
+            try:
+                self.json_ld.append(json.loads(''.join(self._text)))
+            except json.JSONDecodeError:
+                pass
+            self._capture = None
+
+
+def find_json_ld(data, types=('Article', 'NewsArticle', 'BlogPosting', 'WebPage', 'Report')):
+    """Return the first JSON-LD object describing the page, searching lists and @graph."""
+    if isinstance(data, list):
+        for item in data:
+            found = find_json_ld(item, types)
+            if found:
+                return found
+    elif isinstance(data, dict):
+        item_type = data.get('@type')
+        item_types = item_type if isinstance(item_type, list) else [item_type]
+        if any(t in types for t in item_types):
+            return data
+        return find_json_ld(data.get('@graph', []), types)
+    return None
+
+
+def json_ld_name(value):
+    """Read a name from a JSON-LD person or organization, or a list of them."""
+    if isinstance(value, list):
+        return ', '.join(filter(None, (json_ld_name(item) for item in value)))
+    if isinstance(value, dict):
+        return value.get('name', '') if isinstance(value.get('name'), str) else ''
+    return value if isinstance(value, str) else ''
+
+
+def extract_metadata(page, page_url):
+    """Pick article metadata out of an HTML page.
+
+    OpenGraph and Twitter card fields win over JSON-LD, which wins over plain <title>
+    and <meta name> tags. Returns a dict with 'title' and the METADATA_COLUMNS.
+    """
+    parser = MetadataParser()
+    parser.feed(page)
+    parser.close()
+    meta = parser.meta
+    ld = find_json_ld(parser.json_ld) or {}
+
+    def first(*values):
+        return next((value.strip() for value in values if isinstance(value, str) and value.strip()), '')
+
+    ld_image = ld.get('image')
+    if isinstance(ld_image, list):
+        ld_image = ld_image[0] if ld_image else ''
+    if isinstance(ld_image, dict):
+        ld_image = ld_image.get('url', '')
+
+    published = first(
+        meta.get('article:published_time'), ld.get('datePublished'),
+        meta.get('date'), meta.get('pubdate'), meta.get('datepublished'), meta.get('dc.date')
+    )
+    match = re.match(r'\d{4}-\d{2}-\d{2}', published)
+
+    image = first(meta.get('og:image'), meta.get('og:image:url'), meta.get('twitter:image'),
+                  meta.get('twitter:image:src'), ld_image)
+    image = urllib.parse.urljoin(page_url, image) if image else ''
+
+    return {
+        'title': first(meta.get('og:title'), meta.get('twitter:title'), ld.get('headline'), parser.title),
+        'author': first(meta.get('author'), meta.get('article:author'), json_ld_name(ld.get('author')),
+                        meta.get('twitter:creator')),
+        'published': match.group(0) if match else '',
+        'site_name': first(meta.get('og:site_name'), json_ld_name(ld.get('publisher')), meta.get('application-name')),
+        # data: URLs and the like would be refused when the article is saved
+        'image': image if is_http_url(image) else '',
+        'excerpt': first(meta.get('og:description'), meta.get('twitter:description'), meta.get('description'),
+                         ld.get('description'))
+    }
+
+
+def is_public_address(address):
+    """Return True when an IP address is reachable on the public internet."""
+    address = ipaddress.ip_address(address.split('%')[0])
+    if address.version == 6 and address.ipv4_mapped:
+        address = address.ipv4_mapped
+    return address.is_global and not address.is_multicast
+
+
+def resolve_public_addresses(host, port):
+    """Resolve host and return its addresses, raising ValueError unless all of them are public."""
+    try:
+        addresses = list(dict.fromkeys(info[4][0] for info in socket.getaddrinfo(host, port, type=socket.SOCK_STREAM)))
+    except socket.gaierror as e:
+        raise urllib.error.URLError(e)
+
+    if not all(is_public_address(address) for address in addresses):
+        raise ValueError(f'{host} is not a public address')
+    return addresses
+
+
+def check_metadata_url(url):
+    """Raise ValueError unless url is an http(s) URL whose host resolves to public addresses only.
+
+    Keeps /api/metadata from being used to reach this machine or the local network.
+    """
+    parsed = urllib.parse.urlparse(url)
+    if parsed.scheme not in ('http', 'https') or not parsed.hostname:
+        raise ValueError(f'invalid URL "{url}"')
+
+    try:
+        port = parsed.port or (443 if parsed.scheme == 'https' else 80)
+    except ValueError:
+        raise ValueError(f'invalid URL "{url}"')
+    resolve_public_addresses(parsed.hostname, port)
+
+
+def create_public_connection(address, timeout=socket._GLOBAL_DEFAULT_TIMEOUT, source_address=None):
+    """Connect like socket.create_connection, but only to the public addresses of the host.
+
+    The host is resolved once and the connection goes to an address that was checked,
+    so a host can't pass check_metadata_url and then resolve to a local address.
+    """
+    host, port = address
+    error = None
+    for checked_address in resolve_public_addresses(host, port):
+        try:
+            return socket.create_connection((checked_address, port), timeout, source_address)
+        except OSError as e:
+            error = e
+    raise error
+
+
+class PublicHTTPConnection(http.client.HTTPConnection):
+    """HTTPConnection that connects through create_public_connection."""
+
+    def __init__(self, *args, **kwargs):
+        super().__init__(*args, **kwargs)
+        self._create_connection = create_public_connection
+
+
+class PublicHTTPSConnection(http.client.HTTPSConnection):
+    """HTTPSConnection that connects through create_public_connection.
+
+    The certificate is still checked against the host name, not the address.
+    """
+
+    def __init__(self, *args, **kwargs):
+        super().__init__(*args, **kwargs)
+        self._create_connection = create_public_connection
+
+
+class PublicHTTPHandler(urllib.request.HTTPHandler):
+    """Open http URLs with PublicHTTPConnection."""
+
+    def http_open(self, req):
+        return self.do_open(PublicHTTPConnection, req)
+
+
+class PublicHTTPSHandler(urllib.request.HTTPSHandler):
+    """Open https URLs with PublicHTTPSConnection."""
+
+    def https_open(self, req):
+        return self.do_open(PublicHTTPSConnection, req, context=self._context)
+
+
+class MetadataRedirectHandler(urllib.request.HTTPRedirectHandler):
+    """Follow redirects only to URLs that pass check_metadata_url.
+
+    Every hop is connected through the public handlers as well, so this mainly
+    refuses other schemes early.
+    """
+
+    def redirect_request(self, req, fp, code, msg, headers, newurl):
+        check_metadata_url(newurl)
+        return super().redirect_request(req, fp, code, msg, headers, newurl)
+
+
+def fetch_metadata(url):
+    """Download a page and extract its metadata.
+
+    Raises ValueError for URLs that can't be fetched and urllib errors when the
+    request fails. The result includes the final URL after redirects.
+    """
+    check_metadata_url(url)
+
+    request = urllib.request.Request(url, headers={
+        'User-Agent': METADATA_USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml'
+    })
+    # No proxies: the address that was checked must be the one connected to
+    opener = urllib.request.build_opener(
+        urllib.request.ProxyHandler({}), PublicHTTPHandler, PublicHTTPSHandler, MetadataRedirectHandler
+    )
+    with opener.open(request, timeout=METADATA_TIMEOUT) as response:
+        content_type = response.headers.get_content_type()
+        if content_type not in ('text/html', 'application/xhtml+xml'):
+            raise ValueError(f'not an HTML page ({content_type})')
+        charset = response.headers.get_content_charset() or 'utf-8'
+        body = response.read(METADATA_MAX_BYTES)
+        final_url = response.geturl()
+
+    try:
+        page = body.decode(charset, errors='replace')
+    except LookupError:
+        page = body.decode('utf-8', errors='replace')
+
+    return {'url': final_url, **extract_metadata(page, final_url)}
+
+
+def normalize_feed_tag(tag):
+    """Bring a tag into the form feeds compare, e.g. 'Design' and '#design' -> '#design'.
+
+    Works like normalizeTag in script.js, so tags from feed URLs and tags stored
+    with or without '#' match each other.
+    """
+    parts = [re.sub(r'\s+', '_', part.strip().lstrip('#').strip()).lower() for part in tag.split('/')]
+    name = '/'.join(part for part in parts if part)
+    return '#' + name if name else None
+
+
+def article_has_tag(article, tag):
+    """Return True when the article carries the tag or one of its children, e.g. '#design/typography'."""
+    article_tags = (normalize_feed_tag(article_tag) for article_tag in article['tags'])
+    return any(article_tag and (article_tag == tag or article_tag.startswith(tag + '/'))
+               for article_tag in article_tags)
+
+
+def feed_articles(articles, tag=None):
+    """Pick the articles for a feed: not archived, optionally tagged, newest first."""
+    entries = [article for article in articles
+               if not article['archived'] and (tag is None or article_has_tag(article, tag))]
+    # sorted() is stable, so articles from the same day keep their archive order
+    return sorted(entries, key=lambda article: article['date'], reverse=True)[:FEED_LIMIT]
+
+
+def feed_timestamp(date):
+    """Format a YYYY-MM-DD date as an RFC 3339 timestamp."""
+    return f'{date}T00:00:00Z'
+
+
+def feed_title(tag):
+    """Return the title of the whole feed or a per-tag feed."""
+    return f'{FEED_TITLE}: {tag}' if tag else FEED_TITLE
+
+
+def build_atom_feed(articles, base_url, feed_url, tag=None):
+    """Build an Atom document for the given feed articles."""
+    ET.register_namespace('', 'http://www.w3.org/2005/Atom')
+    ns = '{http://www.w3.org/2005/Atom}'
+
+    feed = ET.Element(ns + 'feed')
+    ET.SubElement(feed, ns + 'title').text = feed_title(tag)
+    ET.SubElement(feed, ns + 'id').text = feed_url
+    ET.SubElement(feed, ns + 'link', rel='self', href=feed_url)
+    ET.SubElement(feed, ns + 'link', rel='alternate', href=base_url + '/')
+    ET.SubElement(feed, ns + 'updated').text = (
+        feed_timestamp(articles[0]['date']) if articles
+        else datetime.datetime.now(datetime.timezone.utc).strftime('%Y-%m-%dT%H:%M:%SZ')
+    )
+    ET.SubElement(ET.SubElement(feed, ns + 'author'), ns + 'name').text = FEED_TITLE
+
+    for article in articles:
+        entry = ET.SubElement(feed, ns + 'entry')
+        ET.SubElement(entry, ns + 'title').text = article['title']
+        ET.SubElement(entry, ns + 'link', rel='alternate', href=article['url'])
+        ET.SubElement(entry, ns + 'id').text = f"{base_url}/api/articles/{article['id']}"
+        ET.SubElement(entry, ns + 'published').text = feed_timestamp(article['date'])
+        ET.SubElement(entry, ns + 'updated').text = feed_timestamp(article['date'])
+        if article['review']:
+            ET.SubElement(entry, ns + 'summary', type='text').text = article['review']
+        for article_tag in article['tags']:
+            ET.SubElement(entry, ns + 'category', term=article_tag.lstrip('#'), label=article_tag)
+
+    return b'<?xml version="1.0" encoding="utf-8"?>\n' + ET.tostring(feed, encoding='utf-8')
+
+
+def build_json_feed(articles, base_url, feed_url, tag=None):
+    """Build a JSON Feed 1.1 document for the given feed articles."""
+    items = []
+    for article in articles:
+        item = {
+            'id': f"{base_url}/api/articles/{article['id']}",
+            'url': article['url'],
+            'title': article['title'],
+            'date_published': feed_timestamp(article['date']),
+            'tags': article['tags']
+        }
+        # JSON Feed requires some content, so fall back to the title when there is no review
+        item['content_text'] = article['review'] or article['title']
+        items.append(item)
+
+    return {
+        'version': 'https://jsonfeed.org/version/1.1',
+        'title': feed_title(tag),
+        'home_page_url': base_url + '/',
+        'feed_url': feed_url,
+        'items': items
+    }
+
+
+def article_to_json(article):
+    """Return an article as sent to clients, with its version."""
+    return {**article, 'version': article_version(article)}
+
+
 class ReadingArchiveHandler(http.server.SimpleHTTPRequestHandler):
     """Custom handler for the reading archive application."""
     
+    def do_GET(self):
+        """Handle article API reads; everything else is served as static files."""
+        path = urllib.parse.urlparse(self.path).path
+        match = ARTICLE_PATH.match(path)
+        if path == '/api/articles':
+            self.handle_list_articles()
+        elif path in (ATOM_FEED_PATH, JSON_FEED_PATH):
+            self.handle_feed(path)
+        elif path == '/api/metadata':
+            self.handle_metadata()
+        elif match:
+            self.handle_get_article(match.group(1))
+        else:
+            super().do_GET()
+    
     def do_POST(self):
-        """Handle POST requests for saving CSV data."""
-        if self.path == '/api/save-csv':
-            self.handle_save_csv()
+        """Handle article creation and batch updates."""
+        path = urllib.parse.urlparse(self.path).path
+        if path == '/api/articles':
+            self.handle_create_article()
+        elif path == '/api/articles/batch':
+            self.handle_batch()
+        else:
+            self.send_error(404, "Not Found")
+    
+    def do_PUT(self):
+        """Handle article updates."""
+        match = ARTICLE_PATH.match(urllib.parse.urlparse(self.path).path)
+        if match:
+            self.handle_batch_request([{
+                'op': 'put',
+                'id': match.group(1),
+                'article': self.read_json_body(),
+                **self.expected_version()
+            }], single=True)
+        else:
+            self.send_error(404, "Not Found")
+    
+    def do_DELETE(self):
+        """Handle article deletion."""
+        match = ARTICLE_PATH.match(urllib.parse.urlparse(self.path).path)
+        if match:
+            self.handle_batch_request([{
+                'op': 'delete',
+                'id': match.group(1),
+                **self.expected_version()
+            }], single=True)
         else:
             self.send_error(404, "Not Found")
     
-    def handle_save_csv(self):
-        """Handle CSV save requests."""
+    def read_json_body(self):
+        """Read and decode the JSON request body, or None if it is missing or isn't valid JSON."""
+        try:
+            content_length = int(self.headers.get('Content-Length', ''))
+        except ValueError:
+            return None
+        # A negative length would make read() wait for the client to close the connection
+        if content_length < 0:
+            return None
+        try:
+            return json.loads(self.rfile.read(content_length).decode('utf-8'))
+        except (UnicodeDecodeError, json.JSONDecodeError):
+            return None
+    
+    def expected_version(self):
+        """Return the If-Match header as a batch operation version, if one was sent."""
+        if_match = self.headers.get('If-Match')
+        return {'version': if_match} if if_match else {}
+    
+    def send_json(self, status, payload, headers=None):
+        """Send a JSON response with the given status and extra headers."""
+        body = json.dumps(payload).encode('utf-8')
+        self.send_response(status)
+        self.send_header('Content-Type', 'application/json')
+        self.send_header('Content-Length', str(len(body)))
+        self.send_header('Cache-Control', 'no-store')
+        for name, value in (headers or {}).items():
+            self.send_header(name, value)
+        self.end_headers()
+        self.wfile.write(body)
+    
+    def handle_list_articles(self):
+        """List every article with its version."""
+        try:
+            articles, skipped = load_articles()
+            self.send_json(200, {
+                'articles': [article_to_json(article) for article in articles],
+                'skipped': skipped_to_json(skipped)
+            })
+        except Exception as e:
+            print(f"Error loading articles: {e}")
+            self.send_error(500, f"Internal Server Error: {e}")
+    
+    def handle_metadata(self):
+        """Fetch the page at ?url= and return its title and metadata."""
+        query = urllib.parse.parse_qs(urllib.parse.urlparse(self.path).query)
+        url = query.get('url', [''])[0].strip()
         try:
-            # Get content length
-            content_length = int(self.headers.get('Content-Length', 0))
-            
-            # Read the CSV content
-            csv_content = self.rfile.read(content_length).decode('utf-8')
-            
-            # Write to articles.csv file
-            with open('articles.csv', 'w', encoding='utf-8') as f:
-                f.write(csv_content)
-            
-            # Send success response
+            self.send_json(200, fetch_metadata(url))
+        except ValueError as e:
+            self.send_json(400, {'status': 'error', 'message': str(e)})
+        except (urllib.error.URLError, OSError) as e:
+            # Not 502: the client reads 502-504 as this server being unreachable
+            print(f"Could not fetch metadata for {url}: {e}")
+            self.send_json(422, {'status': 'error', 'message': f'Could not fetch {url}: {e}'})
+    
+    def handle_feed(self, path):
+        """Serve the Atom or JSON feed, limited to one tag when ?tag= is given."""
+        try:
+            query = urllib.parse.parse_qs(urllib.parse.urlparse(self.path).query)
+            tag = normalize_feed_tag(query.get('tag', [''])[0])
+            # Not the Host header: ids must stay the same however the feed is reached
+            base_url = FEED_BASE_URL or f'http://localhost:{self.server.server_port}'
+            feed_url = base_url + path + ('?' + urllib.parse.urlencode({'tag': tag.lstrip('#')}) if tag else '')
+
+            articles, _ = load_articles()
+            entries = feed_articles(articles, tag)
+            if path == ATOM_FEED_PATH:
+                body = build_atom_feed(entries, base_url, feed_url, tag)
+                content_type = 'application/atom+xml; charset=utf-8'
+            else:
+                body = json.dumps(build_json_feed(entries, base_url, feed_url, tag), indent=2).encode('utf-8')
+                content_type = 'application/feed+json; charset=utf-8'
+
+            # Feed readers poll, so let them skip unchanged feeds
+            etag = '"' + hashlib.sha256(body).hexdigest()[:16] + '"'
+            if self.headers.get('If-None-Match') == etag:
+                self.send_response(304)
+                self.send_header('ETag', etag)
+                self.end_headers()
+                return
+
             self.send_response(200)
-            self.send_header('Content-Type', 'application/json')
-            self.send_header('Access-Control-Allow-Origin', '*')
-            self.send_header('Access-Control-Allow-Methods', 'POST, OPTIONS')
-            self.send_header('Access-Control-Allow-Headers', 'Content-Type')
+            self.send_header('Content-Type', content_type)
+            self.send_header('Content-Length', str(len(body)))
+            self.send_header('ETag', etag)
             self.end_headers()
-            
-            response = json.dumps({'status': 'success', 'message': 'CSV saved successfully'})
-            self.wfile.write(response.encode('utf-8'))
-            
-            print(f"CSV file saved successfully")
-            
+            self.wfile.write(body)
+        except Exception as e:
+            print(f"Error building feed: {e}")
+            self.send_error(500, f"Internal Server Error: {e}")
+    
+    def handle_get_article(self, article_id):
+        """Return a single article."""
+        try:
+            articles, _ = load_articles()
+            article = next((article for article in articles if article['id'] == article_id), None)
+            if article:
+                self.send_json(200, article_to_json(article), {'ETag': article_version(article)})
+            else:
+                self.send_json(404, {'status': 'error', 'message': f'No article with id {article_id}'})
+        except Exception as e:
+            print(f"Error loading article {article_id}: {e}")
+            self.send_error(500, f"Internal Server Error: {e}")
+    
+    def handle_create_article(self):
+        """Create an article at the top of the archive."""
+        data = self.read_json_body()
+        article_id = data.get('id') if isinstance(data, dict) else None
+        self.handle_batch_request([{
+            'op': 'put',
+            'id': article_id,
+            'article': data,
+            'version': None,
+            'position': 0
+        }], single=True, created=True)
+    
+    def handle_batch(self):
+        """Apply several operations in one save."""
+        data = self.read_json_body()
+        operations = data.get('operations') if isinstance(data, dict) else None
+        if not isinstance(operations, list) or not operations:
+            self.send_json(400, {'status': 'error', 'message': 'operations must be a non-empty list'})
+            return
+        self.handle_batch_request(operations)
+    
+    def handle_batch_request(self, operations, single=False, created=False):
+        """Validate and apply article operations, all or nothing.
+    
+        Each operation is {'op': 'put' | 'delete', 'id', 'article', 'version', 'position'}.
+        A 'version' string must match the article's current version and a None version
+        means the article must not exist yet; without 'version' the operation is
+        unconditional. A put of an unknown id creates the article at 'position'.
+        Conflicting versions answer 409 with the current state of those articles.
+        """
+        try:
+            # Nothing else may write the file between reading it and saving it
+            with ARTICLES_LOCK:
+                articles, skipped = load_articles()
+                by_id = {article['id']: article for article in articles}
+                # Rows that couldn't be read are written back untouched, so they can't be changed here
+                unreadable = {row['id']: row for row in skipped if row['id']}
+                errors = []
+                conflicts = []
+                missing = []
+    
+                for operation in operations:
+                    if not isinstance(operation, dict) or operation.get('op') not in ('put', 'delete'):
+                        errors.append({'id': None, 'errors': {'op': 'op must be "put" or "delete"'}})
+                        continue
+    
+                    if operation['op'] == 'put' and operation.get('id') is None and created:
+                        operation['id'] = generate_article_id(by_id.keys() | unreadable.keys())
+    
+                    article_id = operation.get('id')
+                    if not isinstance(article_id, str) or not ID_PATTERN.match(article_id):
+                        errors.append({'id': article_id, 'errors': {'id': 'invalid article id'}})
+                        continue
+                    if article_id in unreadable:
+                        line = unreadable[article_id]['line']
+                        errors.append({'id': article_id, 'errors': {'id': f'{CSV_FILE} line {line} could not be read; fix it before changing this article'}})
+                        continue
+    
+                    if operation['op'] == 'put':
+                        article, article_errors = validate_article(operation.get('article'))
+                        if article_errors:
+                            errors.append({'id': article_id, 'errors': article_errors})
+                            continue
+                        operation['validated'] = {'id': article_id, **article}
+    
+                    current = by_id.get(article_id)
+                    if 'version' in operation:
+                        current_version = article_version(current) if current else None
+                        if operation['version'] != current_version:
+                            conflicts.append({
+                                'id': article_id,
+                                'article': article_to_json(current) if current else None
+                            })
+                    elif operation['op'] == 'delete' and not current:
+                        missing.append(article_id)
+    
+                if errors:
+                    self.send_json(400, {
+                        'status': 'error',
+                        'message': 'Invalid article data',
+                        'errors': errors
+                    })
+                    return
+    
+                # Deleting something already gone is fine in a batch, but a plain DELETE should say so
+                if single and missing:
+                    self.send_json(404, {'status': 'error', 'message': f'No article with id {missing[0]}'})
+                    return
+    
+                if conflicts:
+                    self.send_json(409, {
+                        'status': 'conflict',
+                        'message': 'Articles changed since they were loaded',
+                        'conflicts': conflicts
+                    })
+                    print(f"Save rejected: {len(conflicts)} article(s) changed since they were loaded")
+                    return
+    
+                results = []
+                for operation in operations:
+                    article_id = operation['id']
+                    position = next((i for i, article in enumerate(articles) if article['id'] == article_id), None)
+    
+                    if operation['op'] == 'delete':
+                        if position is not None:
+                            articles.pop(position)
+                        results.append({'id': article_id, 'deleted': True})
+                        continue
+    
+                    article = operation['validated']
+                    if position is not None:
+                        articles[position] = article
+                    else:
+                        insert_at = operation.get('position', 0)
+                        if not isinstance(insert_at, int):
+                            insert_at = 0
+                        articles.insert(max(0, min(insert_at, len(articles))), article)
+                    results.append(article_to_json(article))
+    
+                save_articles(articles, skipped)
+                print(f"Saved {len(results)} article change(s)")
+    
+                if single:
+                    result = results[0]
+                    headers = {} if result.get('deleted') else {'ETag': result['version']}
+                    self.send_json(201 if created else 200, result, headers)
+                else:
+                    self.send_json(200, {'status': 'success', 'articles': results})
+    
         except Exception as e:
-            print(f"Error saving CSV: {e}")
+            print(f"Error saving articles: {e}")
             self.send_error(500, f"Internal Server Error: {e}")
     
     def do_OPTIONS(self):
         """Handle OPTIONS requests for CORS preflight."""
         self.send_response(200)
         self.send_header('Access-Control-Allow-Origin', '*')
-        self.send_header('Access-Control-Allow-Methods', 'POST, GET, OPTIONS')
-        self.send_header('Access-Control-Allow-Headers', 'Content-Type')
+        self.send_header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
+        self.send_header('Access-Control-Allow-Headers', 'Content-Type, If-Match')
         self.end_headers()
     
     def end_headers(self):
         """Add CORS headers to all responses."""
         self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Expose-Headers', 'ETag')
         super().end_headers()
 
 def run_server(port=8000):
     """Run the server on the specified port."""
-    with socketserver.TCPServer(("", port), ReadingArchiveHandler) as httpd:
+    # Threaded, so a slow /api/metadata fetch doesn't hold up every other request
+    with http.server.ThreadingHTTPServer(("", port), ReadingArchiveHandler) as httpd:
         print(f"Server running at http://localhost:{port}/")
         print("Press Ctrl+C to stop the server")
         try:
@@ -75,4 +1024,4 @@ def run_server(port=8000):
             print("\nServer stopped.")
 
 if __name__ == "__main__":
-    run_server() 
\ No newline at end of file
+    run_server()
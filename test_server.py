@@ -0,0 +1,576 @@
+#!/usr/bin/env python3
+"""
+Tests for server.py.
+The API runs on a real server with a temporary articles.csv and metadata pages are
+served from a stub HTTP server, both on localhost. Run with: python3 -m unittest test_server
+"""
+
+import http.client
+import http.server
+import json
+import os
+import socket
+import tempfile
+import threading
+import time
+import unittest
+import urllib.error
+from unittest import mock
+
+import server
+
+
+def article_fields(title, url='https://example.com/', date='2025-01-01', **fields):
+    """Return the fields of a valid article, as sent to validate_article."""
+    return {'title': title, 'url': url, 'date': date, **fields}
+
+
+def csv_row(article_id, title, **fields):
+    """Return a CSV row for a valid article."""
+    article, _ = server.validate_article(article_fields(title, **fields))
+    return server.serialize_article({'id': article_id, **article})
+
+
+HEADER = ','.join(server.CSV_COLUMNS)
+
+# Too few fields, so parse_articles skips it
+BROKEN_ROW = '"broken","Half a row"'
+
+
+class ValidateArticleTest(unittest.TestCase):
+    """validate_article on request bodies."""
+
+    def test_fills_in_defaults(self):
+        article, errors = server.validate_article(article_fields('Title', tags=[' #design ', '']))
+        self.assertEqual(errors, {})
+        self.assertEqual(article['tags'], ['#design'])
+        self.assertEqual(article['status'], server.DEFAULT_STATUS)
+        self.assertEqual((article['favorite'], article['archived'], article['rating']), (False, False, 0))
+        self.assertEqual(article['highlights'], [])
+
+    def test_reports_each_invalid_field(self):
+        article, errors = server.validate_article({
+            'title': ' ', 'url': 'ftp://example.com/', 'date': '2025-02-30', 'favorite': 'yes',
+            'tags': ['a,b'], 'rating': 6, 'status': 'someday', 'image': 'data:image/png;base64,AAAA'
+        })
+        self.assertIsNone(article)
+        self.assertEqual(set(errors), {'title', 'url', 'date', 'favorite', 'tags', 'rating', 'status', 'image'})
+
+    def test_rejects_boolean_rating(self):
+        _, errors = server.validate_article(article_fields('Title', rating=True))
+        self.assertIn('rating', errors)
+
+    def test_rejects_non_object(self):
+        for data in (None, [], 'title'):
+            self.assertEqual(server.validate_article(data), (None, {'article': 'article must be an object'}))
+
+    def test_normalizes_highlights(self):
+        article, errors = server.validate_article(article_fields('Title', highlights=[
+            'A plain quote', {'quote': ' Quoted ', 'note': 'Why'}, {'quote': ' ', 'note': 'No quote'}
+        ]))
+        self.assertEqual(errors, {})
+        self.assertEqual(article['highlights'], [
+            {'quote': 'A plain quote', 'note': '', 'location': ''},
+            {'quote': 'Quoted', 'note': 'Why', 'location': ''}
+        ])
+
+
+class ParseArticlesTest(unittest.TestCase):
+    """parse_articles and serialize_articles."""
+
+    def test_round_trip(self):
+        text = '\n'.join([HEADER, csv_row('a1', 'First', tags=['#design', '#ai']), csv_row('b2', 'Second, "quoted"')])
+        articles, skipped, migrated = server.parse_articles(text)
+        self.assertEqual([article['id'] for article in articles], ['a1', 'b2'])
+        self.assertEqual(articles[0]['tags'], ['#design', '#ai'])
+        self.assertEqual(articles[1]['title'], 'Second, "quoted"')
+        self.assertEqual((skipped, migrated), ([], False))
+        self.assertEqual(server.serialize_articles(articles), text)
+
+    def test_skips_unreadable_rows(self):
+        bad_date_row = csv_row('c3', 'Bad date', date='2025-12-01').replace('2025-12-01', '2025-13-01')
+        text = '\n'.join([HEADER, csv_row('a1', 'First'), BROKEN_ROW, bad_date_row])
+        articles, skipped, _ = server.parse_articles(text)
+        self.assertEqual([article['id'] for article in articles], ['a1'])
+        self.assertEqual([(row['line'], row['id'], row['after']) for row in skipped], [(3, 'broken', 'a1'), (4, 'c3', 'a1')])
+        self.assertIn(f'expected {len(server.CSV_COLUMNS)} fields but found 2', skipped[0]['reason'])
+        self.assertIn('invalid date', skipped[1]['reason'])
+
+    def test_keeps_unreadable_rows_in_place(self):
+        text = '\n'.join([HEADER, csv_row('a1', 'First'), BROKEN_ROW, csv_row('b2', 'Second')])
+        articles, skipped, _ = server.parse_articles(text)
+        self.assertEqual(server.serialize_articles(articles, skipped), text)
+
+        # Once the article it followed is gone, the row moves to the end
+        self.assertEqual(server.serialize_articles(articles[1:], skipped).splitlines(),
+                         [HEADER, csv_row('b2', 'Second'), BROKEN_ROW])
+
+    def test_assigns_missing_and_repeated_ids(self):
+        text = '\n'.join(['title,url,date,favorite,review,tags',
+                          '"Old","https://example.com/","2024-05-01","true","","#a,#b"'])
+        articles, _, migrated = server.parse_articles(text)
+        self.assertTrue(migrated)
+        self.assertRegex(articles[0]['id'], server.ID_PATTERN)
+        self.assertEqual((articles[0]['favorite'], articles[0]['tags']), (True, ['#a', '#b']))
+
+        articles, _, migrated = server.parse_articles('\n'.join([HEADER, csv_row('a1', 'One'), csv_row('a1', 'Two')]))
+        self.assertTrue(migrated)
+        self.assertEqual(articles[0]['id'], 'a1')
+        self.assertNotEqual(articles[1]['id'], 'a1')
+
+
+class QuietArchiveHandler(server.ReadingArchiveHandler):
+    """ReadingArchiveHandler without the request log."""
+
+    def log_message(self, format, *args):
+        pass
+
+
+class ArchiveServerTest(unittest.TestCase):
+    """Base class that runs the archive server on a temporary articles.csv."""
+
+    @classmethod
+    def setUpClass(cls):
+        # Keep the server's save messages out of the test output. Patched for the whole class,
+        # since handler threads can still be printing when a test ends
+        cls.print_patcher = mock.patch.object(server, 'print', create=True)
+        cls.print_patcher.start()
+        cls.httpd = http.server.ThreadingHTTPServer(('127.0.0.1', 0), QuietArchiveHandler)
+        threading.Thread(target=cls.httpd.serve_forever, daemon=True).start()
+
+    @classmethod
+    def tearDownClass(cls):
+        cls.httpd.shutdown()
+        # Waits for the handler threads
+        cls.httpd.server_close()
+        cls.print_patcher.stop()
+
+    def setUp(self):
+        directory = tempfile.TemporaryDirectory()
+        self.addCleanup(directory.cleanup)
+        self.csv_file = os.path.join(directory.name, 'articles.csv')
+        self.csv_text = '\n'.join([HEADER, csv_row('a1', 'First'), BROKEN_ROW, csv_row('b2', 'Second')])
+        with open(self.csv_file, 'w', encoding='utf-8') as f:
+            f.write(self.csv_text)
+
+        patcher = mock.patch.object(server, 'CSV_FILE', self.csv_file)
+        patcher.start()
+        self.addCleanup(patcher.stop)
+
+    def request(self, method, path, body=None, headers=None):
+        """Send a request and return (status, decoded JSON response)."""
+        connection = http.client.HTTPConnection('127.0.0.1', self.httpd.server_port, timeout=5)
+        try:
+            connection.request(method, path, body if body is None or isinstance(body, bytes) else json.dumps(body),
+                               headers={'Content-Type': 'application/json', **(headers or {})})
+            response = connection.getresponse()
+            return response.status, json.loads(response.read() or 'null')
+        finally:
+            connection.close()
+
+    def version(self, article_id):
+        """Return the current version of an article from the API."""
+        _, data = self.request('GET', '/api/articles')
+        return next(article['version'] for article in data['articles'] if article['id'] == article_id)
+
+    def read_csv(self):
+        """Return the current contents of the temporary articles.csv."""
+        with open(self.csv_file, encoding='utf-8') as f:
+            return f.read()
+
+
+class BatchRequestTest(ArchiveServerTest):
+    """The article API, which saves through handle_batch_request."""
+
+    def test_lists_articles_and_skipped_rows(self):
+        status, data = self.request('GET', '/api/articles')
+        self.assertEqual(status, 200)
+        self.assertEqual([article['id'] for article in data['articles']], ['a1', 'b2'])
+        self.assertEqual([row['line'] for row in data['skipped']], [3])
+
+    def test_put_keeps_unreadable_rows(self):
+        status, data = self.request('PUT', '/api/articles/b2', article_fields('Second, edited'),
+                                    {'If-Match': self.version('b2')})
+        self.assertEqual(status, 200)
+        self.assertEqual(data['title'], 'Second, edited')
+        self.assertEqual(self.read_csv().splitlines(),
+                         [HEADER, csv_row('a1', 'First'), BROKEN_ROW, csv_row('b2', 'Second, edited')])
+
+    def test_stale_version_conflicts(self):
+        status, data = self.request('PUT', '/api/articles/a1', article_fields('Mine'), {'If-Match': '"stale"'})
+        self.assertEqual(status, 409)
+        self.assertEqual([(conflict['id'], conflict['article']['title']) for conflict in data['conflicts']],
+                         [('a1', 'First')])
+        self.assertEqual(self.read_csv(), self.csv_text)
+
+    def test_create_of_existing_id_conflicts(self):
+        status, data = self.request('POST', '/api/articles/batch', {'operations': [
+            {'op': 'put', 'id': 'a1', 'article': article_fields('Copy'), 'version': None}
+        ]})
+        self.assertEqual(status, 409)
+        self.assertEqual(data['conflicts'][0]['id'], 'a1')
+
+    def test_batch_is_all_or_nothing(self):
+        status, data = self.request('POST', '/api/articles/batch', {'operations': [
+            {'op': 'delete', 'id': 'a1'},
+            {'op': 'put', 'id': 'b2', 'article': article_fields('Second', date='yesterday')}
+        ]})
+        self.assertEqual(status, 400)
+        self.assertEqual([(error['id'], list(error['errors'])) for error in data['errors']], [('b2', ['date'])])
+        self.assertEqual(self.read_csv(), self.csv_text)
+
+    def test_batch_applies_in_order(self):
+        status, data = self.request('POST', '/api/articles/batch', {'operations': [
+            {'op': 'delete', 'id': 'a1', 'version': self.version('a1')},
+            {'op': 'put', 'id': 'c3', 'article': article_fields('Third'), 'version': None, 'position': 1},
+            {'op': 'delete', 'id': 'gone'}
+        ]})
+        self.assertEqual(status, 200)
+        self.assertEqual([article['id'] for article in data['articles']], ['a1', 'c3', 'gone'])
+        self.assertEqual(self.read_csv().splitlines(),
+                         [HEADER, csv_row('b2', 'Second'), csv_row('c3', 'Third'), BROKEN_ROW])
+
+    def test_refuses_changes_to_unreadable_rows(self):
+        for method, body in (('PUT', article_fields('Fixed')), ('DELETE', None)):
+            status, data = self.request(method, '/api/articles/broken', body)
+            self.assertEqual(status, 400, method)
+            self.assertIn('line 3 could not be read', data['errors'][0]['errors']['id'])
+        self.assertEqual(self.read_csv(), self.csv_text)
+
+    def test_create_gets_an_unused_id(self):
+        status, data = self.request('POST', '/api/articles', article_fields('New'))
+        self.assertEqual(status, 201)
+        self.assertNotIn(data['id'], ('a1', 'b2', 'broken'))
+        self.assertEqual(self.read_csv().splitlines()[1], csv_row(data['id'], 'New'))
+
+    def test_delete_of_unknown_article(self):
+        status, _ = self.request('DELETE', '/api/articles/gone')
+        self.assertEqual(status, 404)
+
+    def test_rejects_bad_bodies(self):
+        for body in (b'not json', b'\xff', b'[]'):
+            status, _ = self.request('PUT', '/api/articles/a1', body)
+            self.assertEqual(status, 400, body)
+
+    def test_rejects_bad_content_length(self):
+        for content_length in (None, 'many', '-1'):
+            connection = http.client.HTTPConnection('127.0.0.1', self.httpd.server_port, timeout=5)
+            try:
+                connection.putrequest('POST', '/api/articles/batch')
+                if content_length is not None:
+                    connection.putheader('Content-Length', content_length)
+                connection.endheaders()
+                self.assertEqual(connection.getresponse().status, 400, content_length)
+            finally:
+                connection.close()
+        self.assertEqual(self.read_csv(), self.csv_text)
+
+
+def feed_article(article_id, title, date, tags=(), archived=False):
+    """Return a parsed article for the feed functions."""
+    article, _ = server.validate_article(article_fields(title, date=date, tags=list(tags), archived=archived))
+    return {'id': article_id, **article}
+
+
+class FeedTest(unittest.TestCase):
+    """feed_articles and build_atom_feed."""
+
+    def setUp(self):
+        self.articles = [
+            feed_article('a1', 'Older', '2025-01-01', ['#design/typography']),
+            feed_article('b2', 'Newer', '2025-03-01', ['Design']),
+            feed_article('c3', 'Same day', '2025-01-01', ['#designer']),
+            feed_article('d4', 'Archived', '2025-04-01', ['#design'], archived=True)
+        ]
+
+    def feed_ids(self, tag=None):
+        """Return the ids of the articles in the feed for tag."""
+        return [article['id'] for article in server.feed_articles(self.articles, tag)]
+
+    def test_newest_first_without_archived(self):
+        self.assertEqual(self.feed_ids(), ['b2', 'a1', 'c3'])
+
+    def test_tag_includes_child_tags(self):
+        self.assertEqual(self.feed_ids('#design'), ['b2', 'a1'])
+        self.assertEqual(self.feed_ids('#design/typography'), ['a1'])
+        self.assertEqual(self.feed_ids('#typography'), [])
+
+    def test_normalizes_tags(self):
+        for tag in ('design', '#Design', ' # design ', 'design/'):
+            self.assertEqual(server.normalize_feed_tag(tag), '#design', tag)
+        self.assertEqual(server.normalize_feed_tag('Web Design / Type'), '#web_design/type')
+        self.assertIsNone(server.normalize_feed_tag(' # '))
+
+    def test_limits_entries(self):
+        articles = [feed_article(f'x{i}', f'Article {i}', '2025-01-01') for i in range(server.FEED_LIMIT + 5)]
+        self.assertEqual(len(server.feed_articles(articles)), server.FEED_LIMIT)
+
+    def test_builds_atom_feed(self):
+        entries = server.feed_articles(self.articles, '#design')
+        feed_url = 'https://reading.example.com/feeds/atom.xml?tag=design'
+        document = server.build_atom_feed(entries, 'https://reading.example.com', feed_url, '#design')
+
+        ns = {'atom': 'http://www.w3.org/2005/Atom'}
+        feed = server.ET.fromstring(document)
+        self.assertEqual(feed.findtext('atom:title', namespaces=ns), 'Reading Archive: #design')
+        self.assertEqual(feed.findtext('atom:id', namespaces=ns), feed_url)
+        self.assertEqual(feed.findtext('atom:updated', namespaces=ns), '2025-03-01T00:00:00Z')
+
+        entries = feed.findall('atom:entry', ns)
+        self.assertEqual([entry.findtext('atom:title', namespaces=ns) for entry in entries], ['Newer', 'Older'])
+        self.assertEqual(entries[1].findtext('atom:id', namespaces=ns), 'https://reading.example.com/api/articles/a1')
+        self.assertEqual(entries[1].find('atom:category', ns).attrib,
+                         {'term': 'design/typography', 'label': '#design/typography'})
+
+    def test_empty_atom_feed(self):
+        feed = server.ET.fromstring(server.build_atom_feed([], 'https://reading.example.com', 'https://reading.example.com/feeds/atom.xml'))
+        self.assertEqual(feed.findall('{http://www.w3.org/2005/Atom}entry'), [])
+
+
+class FeedRequestTest(ArchiveServerTest):
+    """The feed endpoints."""
+
+    def get_feed(self, path, headers=None):
+        """Return the status and JSON Feed document for a GET of path."""
+        connection = http.client.HTTPConnection('127.0.0.1', self.httpd.server_port, timeout=5)
+        try:
+            connection.request('GET', path, headers=headers or {})
+            response = connection.getresponse()
+            return response.status, json.loads(response.read())
+        finally:
+            connection.close()
+
+    def test_ids_ignore_host_header(self):
+        _, feed = self.get_feed(server.JSON_FEED_PATH, {'Host': 'attacker.example'})
+        self.assertEqual(feed['feed_url'], f'http://localhost:{self.httpd.server_port}{server.JSON_FEED_PATH}')
+        self.assertEqual(feed['items'][0]['id'], f'http://localhost:{self.httpd.server_port}/api/articles/a1')
+
+    def test_ids_use_configured_url(self):
+        with mock.patch.object(server, 'FEED_BASE_URL', 'https://reading.example.com'):
+            status, feed = self.get_feed(server.JSON_FEED_PATH + '?tag=Design')
+        self.assertEqual(status, 200)
+        self.assertEqual(feed['feed_url'], 'https://reading.example.com/feeds/feed.json?tag=design')
+        self.assertEqual(feed['home_page_url'], 'https://reading.example.com/')
+
+
+ARTICLE_PAGE = b"""<!doctype html>
+<html><head>
+<title>Plain title</title>
+<meta property="og:title" content="OpenGraph title">
+<meta property="og:site_name" content="Example Magazine">
+<meta property="og:image" content="//cdn.example.com/cover.jpg">
+<meta property="og:description" content="What the article is about.">
+<meta name="author" content="Ada Lovelace">
+<meta property="article:published_time" content="2025-03-14T09:00:00Z">
+</head><body><p>Text</p></body></html>
+"""
+
+JSON_LD_PAGE = b"""<!doctype html>
+<html><head>
+<title>Fallback title</title>
+<script type="application/ld+json">
+{"@context": "https://schema.org", "@graph": [
+  {"@type": "WebSite", "name": "Ignored"},
+  {"@type": "NewsArticle", "headline": "JSON-LD headline", "datePublished": "2024-11-02",
+   "author": [{"@type": "Person", "name": "Grace Hopper"}, {"@type": "Person", "name": "Alan Kay"}],
+   "publisher": {"@type": "Organization", "name": "The Daily"},
+   "image": ["/images/lead.png"], "description": "Summary from JSON-LD."}
+]}
+</script>
+</head><body></body></html>
+"""
+
+DATA_IMAGE_PAGE = b"""<html><head>
+<meta property="og:title" content="Inline image">
+<meta property="og:image" content="data:image/png;base64,iVBORw0KGgo=">
+</head></html>
+"""
+
+# How long the stub waits before answering /slow, longer than the fetch timeout in the tests
+SLOW_RESPONSE_DELAY = 2
+
+
+class StubHandler(http.server.BaseHTTPRequestHandler):
+    """Serve the fixture pages above."""
+
+    def do_GET(self):
+        if self.path == '/slow':
+            time.sleep(SLOW_RESPONSE_DELAY)
+        if self.path == '/redirect':
+            self.send_response(302)
+            self.send_header('Location', f'http://127.0.0.2:{self.server.server_port}/article')
+            self.end_headers()
+            return
+
+        pages = {
+            '/article': ('text/html; charset=utf-8', ARTICLE_PAGE),
+            '/json-ld': ('text/html', JSON_LD_PAGE),
+            '/data-image': ('text/html', DATA_IMAGE_PAGE),
+            '/slow': ('text/html', ARTICLE_PAGE),
+            '/report.pdf': ('application/pdf', b'%PDF-1.4')
+        }
+        if self.path not in pages:
+            self.send_error(404)
+            return
+        content_type, body = pages[self.path]
+        self.send_response(200)
+        self.send_header('Content-Type', content_type)
+        self.send_header('Content-Length', str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+
+    def log_message(self, format, *args):
+        pass
+
+
+class StubServerTest(unittest.TestCase):
+    """Base class that serves the fixture pages from a stub server on 127.0.0.1."""
+
+    @classmethod
+    def setUpClass(cls):
+        cls.stub = http.server.ThreadingHTTPServer(('127.0.0.1', 0), StubHandler)
+        cls.base_url = f'http://127.0.0.1:{cls.stub.server_port}'
+        threading.Thread(target=cls.stub.serve_forever, daemon=True).start()
+
+    @classmethod
+    def tearDownClass(cls):
+        cls.stub.shutdown()
+        cls.stub.server_close()
+
+
+class FetchMetadataTest(StubServerTest):
+    """fetch_metadata against the stub server."""
+
+    def setUp(self):
+        # The stub runs on loopback, which fetch_metadata refuses unless told otherwise
+        patcher = mock.patch.object(server, 'is_public_address', return_value=True)
+        patcher.start()
+        self.addCleanup(patcher.stop)
+
+    def test_reads_opengraph_tags(self):
+        metadata = server.fetch_metadata(self.base_url + '/article')
+        self.assertEqual(metadata, {
+            'url': self.base_url + '/article',
+            'title': 'OpenGraph title',
+            'author': 'Ada Lovelace',
+            'published': '2025-03-14',
+            'site_name': 'Example Magazine',
+            'image': 'http://cdn.example.com/cover.jpg',
+            'excerpt': 'What the article is about.'
+        })
+
+    def test_reads_json_ld(self):
+        metadata = server.fetch_metadata(self.base_url + '/json-ld')
+        self.assertEqual(metadata['title'], 'JSON-LD headline')
+        self.assertEqual(metadata['author'], 'Grace Hopper, Alan Kay')
+        self.assertEqual(metadata['published'], '2024-11-02')
+        self.assertEqual(metadata['site_name'], 'The Daily')
+        self.assertEqual(metadata['image'], self.base_url + '/images/lead.png')
+        self.assertEqual(metadata['excerpt'], 'Summary from JSON-LD.')
+
+    def test_times_out(self):
+        with mock.patch.object(server, 'METADATA_TIMEOUT', 0.5):
+            started = time.monotonic()
+            with self.assertRaises(OSError):
+                server.fetch_metadata(self.base_url + '/slow')
+        self.assertLess(time.monotonic() - started, SLOW_RESPONSE_DELAY)
+
+    def test_rejects_non_html(self):
+        with self.assertRaisesRegex(ValueError, 'not an HTML page'):
+            server.fetch_metadata(self.base_url + '/report.pdf')
+
+    def test_drops_data_image(self):
+        metadata = server.fetch_metadata(self.base_url + '/data-image')
+        self.assertEqual(metadata['image'], '')
+        article, errors = server.validate_article({
+            'title': metadata['title'], 'url': metadata['url'], 'date': '2025-01-01', 'image': metadata['image']
+        })
+        self.assertEqual(errors, {})
+
+
+class MetadataAddressTest(StubServerTest):
+    """fetch_metadata with the real address checks."""
+
+    def test_refuses_local_addresses(self):
+        with self.assertRaisesRegex(ValueError, '127.0.0.1 is not a public address'):
+            server.fetch_metadata(self.base_url + '/article')
+
+    def test_refuses_redirect_to_local_address(self):
+        # Let the stub through, but not the address it redirects to
+        with mock.patch.object(server, 'is_public_address', side_effect=lambda address: address == '127.0.0.1'):
+            with self.assertRaisesRegex(ValueError, '127.0.0.2 is not a public address'):
+                server.fetch_metadata(self.base_url + '/redirect')
+
+    def test_refuses_host_that_resolves_to_local_address_later(self):
+        answers = iter(['93.184.216.34', '127.0.0.1'])
+
+        def rebinding_getaddrinfo(host, port, *args, **kwargs):
+            return [(socket.AF_INET, socket.SOCK_STREAM, 6, '', (next(answers), port))]
+
+        with mock.patch.object(server.socket, 'getaddrinfo', side_effect=rebinding_getaddrinfo):
+            with self.assertRaisesRegex(ValueError, 'rebind.example is not a public address'):
+                server.fetch_metadata('http://rebind.example/article')
+
+    def test_connects_to_checked_address(self):
+        public_answer = [(socket.AF_INET, socket.SOCK_STREAM, 6, '', ('93.184.216.34', 80))]
+        with mock.patch.object(server.socket, 'getaddrinfo', return_value=public_answer), \
+                mock.patch.object(server.socket, 'create_connection', side_effect=ConnectionRefusedError) as connect:
+            with self.assertRaises(urllib.error.URLError):
+                server.fetch_metadata('http://rebind.example/article')
+        self.assertEqual(connect.call_args.args[0], ('93.184.216.34', 80))
+
+
+class ExtractMetadataTest(unittest.TestCase):
+    """extract_metadata on its own."""
+
+    def test_resolves_relative_image(self):
+        page = '<meta property="og:image" content="/cover.jpg">'
+        metadata = server.extract_metadata(page, 'https://example.com/posts/1')
+        self.assertEqual(metadata['image'], 'https://example.com/cover.jpg')
+
+    def test_resolves_protocol_relative_image(self):
+        page = '<meta property="og:image" content="//cdn.example.com/cover.jpg">'
+        metadata = server.extract_metadata(page, 'https://example.com/posts/1')
+        self.assertEqual(metadata['image'], 'https://cdn.example.com/cover.jpg')
+
+    def test_drops_non_http_image(self):
+        for image in ('data:image/png;base64,AAAA', 'javascript:alert(1)', 'ftp://example.com/a.png'):
+            page = f'<meta property="og:image" content="{image}">'
+            self.assertEqual(server.extract_metadata(page, 'https://example.com/')['image'], '', image)
+
+    def test_falls_back_to_title_tag(self):
+        metadata = server.extract_metadata('<title> Just a\n title </title>', 'https://example.com/')
+        self.assertEqual(metadata['title'], 'Just a title')
+        self.assertEqual(metadata['author'], '')
+
+
+class PublicAddressTest(unittest.TestCase):
+    """is_public_address and check_metadata_url."""
+
+    def test_private_addresses(self):
+        for address in ('127.0.0.1', '10.0.0.1', '172.16.5.4', '192.168.1.1', '169.254.169.254',
+                        '0.0.0.0', '100.64.0.1', '224.0.0.1', '::1', 'fe80::1%eth0', 'fc00::1',
+                        '::ffff:127.0.0.1'):
+            self.assertFalse(server.is_public_address(address), address)
+
+    def test_public_addresses(self):
+        for address in ('93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946'):
+            self.assertTrue(server.is_public_address(address), address)
+
+    def test_rejects_local_hosts(self):
+        for url in ('http://localhost/', 'http://127.0.0.1:8000/api/articles', 'http://[::1]/'):
+            with self.assertRaisesRegex(ValueError, 'not a public address'):
+                server.check_metadata_url(url)
+
+    def test_rejects_other_schemes(self):
+        for url in ('file:///etc/passwd', 'ftp://example.com/', 'http:///path', 'not a url'):
+            with self.assertRaisesRegex(ValueError, 'invalid URL'):
+                server.check_metadata_url(url)
+
+    def test_unknown_host(self):
+        with self.assertRaises(urllib.error.URLError):
+            server.check_metadata_url('http://does-not-exist.invalid/')
+
+
+if __name__ == '__main__':
+    unittest.main()